@@ -28,44 +28,892 @@
 // Central configuration for all app constants
 // ============================================
 const APP_CONFIG = {
-    // 2024 Federal Tax Brackets
-    TAX_BRACKETS: {
-        single: [
-            { threshold: 11925, rate: 0.10 },
-            { threshold: 48475, rate: 0.12 },
-            { threshold: 103350, rate: 0.22 },
-            { threshold: 197300, rate: 0.24 },
-            { threshold: 250525, rate: 0.32 },
-            { threshold: 626350, rate: 0.35 },
-            { threshold: Infinity, rate: 0.37 }
-        ],
-        marriedJointly: [
-            { threshold: 23850, rate: 0.10 },
-            { threshold: 96950, rate: 0.12 },
-            { threshold: 206700, rate: 0.22 },
-            { threshold: 394600, rate: 0.24 },
-            { threshold: 501050, rate: 0.32 },
-            { threshold: 751600, rate: 0.35 },
-            { threshold: Infinity, rate: 0.37 }
-        ],
-        marriedSeparately: [
-            { threshold: 11925, rate: 0.10 },
-            { threshold: 48475, rate: 0.12 },
-            { threshold: 103350, rate: 0.22 },
-            { threshold: 197300, rate: 0.24 },
-            { threshold: 250525, rate: 0.32 },
-            { threshold: 375800, rate: 0.35 },
-            { threshold: Infinity, rate: 0.37 }
-        ],
-        headOfHousehold: [
-            { threshold: 17000, rate: 0.10 },
-            { threshold: 64850, rate: 0.12 },
-            { threshold: 103350, rate: 0.22 },
-            { threshold: 197300, rate: 0.24 },
-            { threshold: 250500, rate: 0.32 },
-            { threshold: 626350, rate: 0.35 },
-            { threshold: Infinity, rate: 0.37 }
-        ]
+    // Federal Tax Tables by Tax Year
+    // Years after the latest table are projected with TAX_INDEXING_RATE
+    TAX_YEARS: {
+        2025: {
+            BRACKETS: {
+                single: [
+                    { threshold: 11925, rate: 0.10 },
+                    { threshold: 48475, rate: 0.12 },
+                    { threshold: 103350, rate: 0.22 },
+                    { threshold: 197300, rate: 0.24 },
+                    { threshold: 250525, rate: 0.32 },
+                    { threshold: 626350, rate: 0.35 },
+                    { threshold: Infinity, rate: 0.37 }
+                ],
+                marriedJointly: [
+                    { threshold: 23850, rate: 0.10 },
+                    { threshold: 96950, rate: 0.12 },
+                    { threshold: 206700, rate: 0.22 },
+                    { threshold: 394600, rate: 0.24 },
+                    { threshold: 501050, rate: 0.32 },
+                    { threshold: 751600, rate: 0.35 },
+                    { threshold: Infinity, rate: 0.37 }
+                ],
+                marriedSeparately: [
+                    { threshold: 11925, rate: 0.10 },
+                    { threshold: 48475, rate: 0.12 },
+                    { threshold: 103350, rate: 0.22 },
+                    { threshold: 197300, rate: 0.24 },
+                    { threshold: 250525, rate: 0.32 },
+                    { threshold: 375800, rate: 0.35 },
+                    { threshold: Infinity, rate: 0.37 }
+                ],
+                headOfHousehold: [
+                    { threshold: 17000, rate: 0.10 },
+                    { threshold: 64850, rate: 0.12 },
+                    { threshold: 103350, rate: 0.22 },
+                    { threshold: 197300, rate: 0.24 },
+                    { threshold: 250500, rate: 0.32 },
+                    { threshold: 626350, rate: 0.35 },
+                    { threshold: Infinity, rate: 0.37 }
+                ]
+            },
+            STANDARD_DEDUCTIONS: {
+                single: 15750,
+                marriedJointly: 31500,
+                marriedSeparately: 15750,
+                headOfHousehold: 23625
+            },
+            CAPITAL_GAINS_BRACKETS: {
+                single: [
+                    { threshold: 48350, rate: 0.00 },
+                    { threshold: 533400, rate: 0.15 },
+                    { threshold: Infinity, rate: 0.20 }
+                ],
+                marriedJointly: [
+                    { threshold: 96700, rate: 0.00 },
+                    { threshold: 600050, rate: 0.15 },
+                    { threshold: Infinity, rate: 0.20 }
+                ],
+                marriedSeparately: [
+                    { threshold: 48350, rate: 0.00 },
+                    { threshold: 300000, rate: 0.15 },
+                    { threshold: Infinity, rate: 0.20 }
+                ],
+                headOfHousehold: [
+                    { threshold: 64750, rate: 0.00 },
+                    { threshold: 566700, rate: 0.15 },
+                    { threshold: Infinity, rate: 0.20 }
+                ]
+            },
+            QBI: {
+                THRESHOLDS: {
+                    single: 197300,
+                    marriedJointly: 394600,
+                    marriedSeparately: 197300,
+                    headOfHousehold: 197300
+                },
+                PHASE_IN_RANGES: {
+                    single: 50000,
+                    marriedJointly: 100000,
+                    marriedSeparately: 50000,
+                    headOfHousehold: 50000
+                }
+            },
+            CREDITS: {
+                CHILD_TAX_CREDIT: 2200,                 // Per qualifying child under 17
+                CHILD_TAX_CREDIT_REFUNDABLE: 1700,      // Refundable (ACTC) cap per child
+                EITC: {
+                    // Indexed by number of qualifying children: 0, 1, 2, 3+
+                    MAX_CREDIT: [649, 4328, 7152, 8046],
+                    EARNED_INCOME_AMOUNT: [8490, 12730, 17880, 17880],
+                    PHASE_OUT_START: [10620, 23350, 23350, 23350],
+                    PHASE_OUT_START_JOINT: [17730, 30470, 30470, 30470],
+                    PHASE_OUT_RATE: [0.0765, 0.1598, 0.2106, 0.2106]
+                },
+                DEPENDENT_CARE: {
+                    MAX_RATE: 0.35,
+                    PHASE_DOWNS: [
+                        { START: 15000, START_JOINT: 15000, STEP: 2000, STEP_JOINT: 2000, FLOOR: 0.20 }
+                    ]
+                }
+            },
+            SOCIAL_SECURITY_WAGE_BASE: 176100,
+            CONTRIBUTION_LIMITS: {
+                EMPLOYEE_401K: 23500,
+                EMPLOYEE_401K_CATCH_UP: 7500,
+                EMPLOYEE_401K_SUPER_CATCH_UP: 11250,
+                IRA: 7000,
+                IRA_CATCH_UP: 1000,
+                HSA_SELF: 4300,
+                HSA_FAMILY: 8550,
+                HSA_CATCH_UP: 1000
+            }
+        },
+        2026: {
+            BRACKETS: {
+                single: [
+                    { threshold: 12400, rate: 0.10 },
+                    { threshold: 50400, rate: 0.12 },
+                    { threshold: 105700, rate: 0.22 },
+                    { threshold: 201775, rate: 0.24 },
+                    { threshold: 256225, rate: 0.32 },
+                    { threshold: 640600, rate: 0.35 },
+                    { threshold: Infinity, rate: 0.37 }
+                ],
+                marriedJointly: [
+                    { threshold: 24800, rate: 0.10 },
+                    { threshold: 100800, rate: 0.12 },
+                    { threshold: 211400, rate: 0.22 },
+                    { threshold: 403550, rate: 0.24 },
+                    { threshold: 512450, rate: 0.32 },
+                    { threshold: 768700, rate: 0.35 },
+                    { threshold: Infinity, rate: 0.37 }
+                ],
+                marriedSeparately: [
+                    { threshold: 12400, rate: 0.10 },
+                    { threshold: 50400, rate: 0.12 },
+                    { threshold: 105700, rate: 0.22 },
+                    { threshold: 201775, rate: 0.24 },
+                    { threshold: 256225, rate: 0.32 },
+                    { threshold: 384350, rate: 0.35 },
+                    { threshold: Infinity, rate: 0.37 }
+                ],
+                headOfHousehold: [
+                    { threshold: 17700, rate: 0.10 },
+                    { threshold: 67450, rate: 0.12 },
+                    { threshold: 105700, rate: 0.22 },
+                    { threshold: 201750, rate: 0.24 },
+                    { threshold: 256200, rate: 0.32 },
+                    { threshold: 640600, rate: 0.35 },
+                    { threshold: Infinity, rate: 0.37 }
+                ]
+            },
+            STANDARD_DEDUCTIONS: {
+                single: 16100,
+                marriedJointly: 32200,
+                marriedSeparately: 16100,
+                headOfHousehold: 24150
+            },
+            CAPITAL_GAINS_BRACKETS: {
+                single: [
+                    { threshold: 49450, rate: 0.00 },
+                    { threshold: 545500, rate: 0.15 },
+                    { threshold: Infinity, rate: 0.20 }
+                ],
+                marriedJointly: [
+                    { threshold: 98900, rate: 0.00 },
+                    { threshold: 613700, rate: 0.15 },
+                    { threshold: Infinity, rate: 0.20 }
+                ],
+                marriedSeparately: [
+                    { threshold: 49450, rate: 0.00 },
+                    { threshold: 306850, rate: 0.15 },
+                    { threshold: Infinity, rate: 0.20 }
+                ],
+                headOfHousehold: [
+                    { threshold: 66200, rate: 0.00 },
+                    { threshold: 579600, rate: 0.15 },
+                    { threshold: Infinity, rate: 0.20 }
+                ]
+            },
+            QBI: {
+                THRESHOLDS: {
+                    single: 201750,
+                    marriedJointly: 403500,
+                    marriedSeparately: 201750,
+                    headOfHousehold: 201750
+                },
+                PHASE_IN_RANGES: {
+                    single: 75000,
+                    marriedJointly: 150000,
+                    marriedSeparately: 75000,
+                    headOfHousehold: 75000
+                }
+            },
+            CREDITS: {
+                CHILD_TAX_CREDIT: 2200,                 // Per qualifying child under 17
+                CHILD_TAX_CREDIT_REFUNDABLE: 1700,      // Refundable (ACTC) cap per child
+                EITC: {
+                    // Indexed by number of qualifying children: 0, 1, 2, 3+
+                    MAX_CREDIT: [664, 4427, 7316, 8231],
+                    EARNED_INCOME_AMOUNT: [8680, 13020, 18290, 18290],
+                    PHASE_OUT_START: [10860, 23890, 23890, 23890],
+                    PHASE_OUT_START_JOINT: [18140, 31160, 31160, 31160],
+                    PHASE_OUT_RATE: [0.0765, 0.1598, 0.2106, 0.2106]
+                },
+                DEPENDENT_CARE: {
+                    MAX_RATE: 0.50,
+                    PHASE_DOWNS: [
+                        { START: 15000, START_JOINT: 15000, STEP: 2000, STEP_JOINT: 2000, FLOOR: 0.35 },
+                        { START: 75000, START_JOINT: 150000, STEP: 2000, STEP_JOINT: 4000, FLOOR: 0.20 }
+                    ]
+                }
+            },
+            SOCIAL_SECURITY_WAGE_BASE: 184500,
+            CONTRIBUTION_LIMITS: {
+                EMPLOYEE_401K: 24500,
+                EMPLOYEE_401K_CATCH_UP: 8000,
+                EMPLOYEE_401K_SUPER_CATCH_UP: 11250,
+                IRA: 7500,
+                IRA_CATCH_UP: 1100,
+                HSA_SELF: 4400,
+                HSA_FAMILY: 8750,
+                HSA_CATCH_UP: 1000
+            }
+        }
+    },
+    TAX_INDEXING_RATE: 0.025,           // Assumed annual inflation adjustment for projected years
+    TAX_PROJECTION_YEARS_AHEAD: 5,      // Projected years offered after the latest table
+    
+    // Self-Employment Tax and Qualified Business Income Parameters
+    SELF_EMPLOYMENT: {
+        NET_EARNINGS_FACTOR: 0.9235,        // SE tax applies to 92.35% of net profit
+        SOCIAL_SECURITY_RATE: 0.124,        // Employee + employer Social Security
+        MEDICARE_RATE: 0.029,               // Employee + employer Medicare
+        DEDUCTIBLE_SHARE: 0.5,              // Half of SE tax is an above-the-line deduction
+        QBI_RATE: 0.20                      // Qualified business income deduction
+    },
+    
+    // Quarterly Estimated Tax Due Dates (yearOffset is relative to the tax year)
+    ESTIMATED_TAX_DUE_DATES: [
+        { label: 'Q1', month: 'Apr', day: 15, yearOffset: 0 },
+        { label: 'Q2', month: 'Jun', day: 15, yearOffset: 0 },
+        { label: 'Q3', month: 'Sep', day: 15, yearOffset: 0 },
+        { label: 'Q4', month: 'Jan', day: 15, yearOffset: 1 }
+    ],
+    
+    // Net Investment Income Tax (thresholds are not inflation indexed)
+    NIIT: {
+        RATE: 0.038,
+        THRESHOLDS: {
+            single: 200000,
+            marriedJointly: 250000,
+            marriedSeparately: 125000,
+            headOfHousehold: 200000
+        }
+    },
+    
+    // Tax Credit Rules That Do Not Change by Year
+    TAX_CREDITS: {
+        CHILD_TAX_CREDIT_PHASEOUT: {
+            single: 200000,
+            marriedJointly: 400000,
+            marriedSeparately: 200000,
+            headOfHousehold: 200000
+        },
+        CHILD_TAX_CREDIT_PHASEOUT_STEP: 1000,   // Credit falls $50 per $1,000 of MAGI over the threshold
+        CHILD_TAX_CREDIT_PHASEOUT_AMOUNT: 50,
+        REFUNDABLE_EARNED_INCOME_FLOOR: 2500,   // ACTC = 15% of earned income above $2,500
+        REFUNDABLE_EARNED_INCOME_RATE: 0.15,
+        DEPENDENT_CARE_EXPENSE_LIMIT_ONE: 3000,
+        DEPENDENT_CARE_EXPENSE_LIMIT_TWO_PLUS: 6000
+    },
+    
+    // Catch-up Contribution Eligibility Ages
+    CATCH_UP_AGES: {
+        RETIREMENT: 50,                 // 401(k) and IRA catch-up
+        SUPER_CATCH_UP_MIN: 60,         // Higher 401(k) catch-up for ages 60-63
+        SUPER_CATCH_UP_MAX: 63,
+        HSA: 55
+    },
+    
+    // Payroll (FICA) Tax Parameters
+    PAYROLL_TAX: {
+        SOCIAL_SECURITY_RATE: 0.062,        // 6.2% employee share
+        MEDICARE_RATE: 0.0145,              // 1.45% employee share, no cap
+        ADDITIONAL_MEDICARE_RATE: 0.009,    // 0.9% on wages above threshold
+        ADDITIONAL_MEDICARE_THRESHOLDS: {
+            single: 200000,
+            marriedJointly: 250000,
+            marriedSeparately: 125000,
+            headOfHousehold: 200000
+        }
+    },
+    
+    // State Income Tax Tables (simplified: wage income only, no local taxes)
+    // Each state lists a standard deduction or exemption where one applies,
+    // brackets for single filers and, where they differ, married-joint brackets.
+    // States with no wage income tax have an empty bracket list.
+    STATE_TAXES: {
+        AL: {
+            name: 'Alabama',
+            deduction: { single: 3000, married: 8500 },
+            brackets: [
+                { threshold: 500, rate: 0.02 },
+                { threshold: 3000, rate: 0.04 },
+                { threshold: Infinity, rate: 0.05 }
+            ],
+            marriedBrackets: [
+                { threshold: 1000, rate: 0.02 },
+                { threshold: 6000, rate: 0.04 },
+                { threshold: Infinity, rate: 0.05 }
+            ]
+        },
+        AK: {
+            name: 'Alaska',
+            brackets: []
+        },
+        AZ: {
+            name: 'Arizona',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: Infinity, rate: 0.025 }
+            ]
+        },
+        AR: {
+            name: 'Arkansas',
+            deduction: { single: 2410, married: 4820 },
+            brackets: [
+                { threshold: 5499, rate: 0.00 },
+                { threshold: 10899, rate: 0.02 },
+                { threshold: 15599, rate: 0.03 },
+                { threshold: 25699, rate: 0.034 },
+                { threshold: Infinity, rate: 0.039 }
+            ]
+        },
+        CA: {
+            name: 'California',
+            deduction: { single: 5706, married: 11412 },
+            brackets: [
+                { threshold: 11079, rate: 0.01 },
+                { threshold: 26264, rate: 0.02 },
+                { threshold: 41452, rate: 0.04 },
+                { threshold: 57542, rate: 0.06 },
+                { threshold: 72724, rate: 0.08 },
+                { threshold: 371479, rate: 0.093 },
+                { threshold: 445771, rate: 0.103 },
+                { threshold: 742953, rate: 0.113 },
+                { threshold: 1000000, rate: 0.123 },
+                { threshold: Infinity, rate: 0.133 }
+            ],
+            marriedBrackets: [
+                { threshold: 22158, rate: 0.01 },
+                { threshold: 52528, rate: 0.02 },
+                { threshold: 82904, rate: 0.04 },
+                { threshold: 115084, rate: 0.06 },
+                { threshold: 145448, rate: 0.08 },
+                { threshold: 742958, rate: 0.093 },
+                { threshold: 891542, rate: 0.103 },
+                { threshold: 1000000, rate: 0.113 },
+                { threshold: 1485906, rate: 0.123 },
+                { threshold: Infinity, rate: 0.133 }
+            ]
+        },
+        CO: {
+            name: 'Colorado',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: Infinity, rate: 0.044 }
+            ]
+        },
+        CT: {
+            name: 'Connecticut',
+            brackets: [
+                { threshold: 10000, rate: 0.02 },
+                { threshold: 50000, rate: 0.045 },
+                { threshold: 100000, rate: 0.055 },
+                { threshold: 200000, rate: 0.06 },
+                { threshold: 250000, rate: 0.065 },
+                { threshold: 500000, rate: 0.069 },
+                { threshold: Infinity, rate: 0.0699 }
+            ],
+            marriedBrackets: [
+                { threshold: 20000, rate: 0.02 },
+                { threshold: 100000, rate: 0.045 },
+                { threshold: 200000, rate: 0.055 },
+                { threshold: 400000, rate: 0.06 },
+                { threshold: 500000, rate: 0.065 },
+                { threshold: 1000000, rate: 0.069 },
+                { threshold: Infinity, rate: 0.0699 }
+            ]
+        },
+        DE: {
+            name: 'Delaware',
+            deduction: { single: 3250, married: 6500 },
+            brackets: [
+                { threshold: 2000, rate: 0.00 },
+                { threshold: 5000, rate: 0.022 },
+                { threshold: 10000, rate: 0.039 },
+                { threshold: 20000, rate: 0.048 },
+                { threshold: 25000, rate: 0.052 },
+                { threshold: 60000, rate: 0.0555 },
+                { threshold: Infinity, rate: 0.066 }
+            ]
+        },
+        DC: {
+            name: 'District of Columbia',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: 10000, rate: 0.04 },
+                { threshold: 40000, rate: 0.06 },
+                { threshold: 60000, rate: 0.065 },
+                { threshold: 250000, rate: 0.085 },
+                { threshold: 500000, rate: 0.0925 },
+                { threshold: 1000000, rate: 0.0975 },
+                { threshold: Infinity, rate: 0.1075 }
+            ]
+        },
+        FL: {
+            name: 'Florida',
+            brackets: []
+        },
+        GA: {
+            name: 'Georgia',
+            deduction: { single: 12000, married: 24000 },
+            brackets: [
+                { threshold: Infinity, rate: 0.0519 }
+            ]
+        },
+        HI: {
+            name: 'Hawaii',
+            deduction: { single: 4400, married: 8800 },
+            brackets: [
+                { threshold: 9600, rate: 0.014 },
+                { threshold: 14400, rate: 0.032 },
+                { threshold: 19200, rate: 0.055 },
+                { threshold: 24000, rate: 0.064 },
+                { threshold: 36000, rate: 0.068 },
+                { threshold: 48000, rate: 0.072 },
+                { threshold: 125000, rate: 0.076 },
+                { threshold: 175000, rate: 0.079 },
+                { threshold: 225000, rate: 0.0825 },
+                { threshold: 275000, rate: 0.09 },
+                { threshold: 325000, rate: 0.10 },
+                { threshold: Infinity, rate: 0.11 }
+            ],
+            marriedBrackets: [
+                { threshold: 19200, rate: 0.014 },
+                { threshold: 28800, rate: 0.032 },
+                { threshold: 38400, rate: 0.055 },
+                { threshold: 48000, rate: 0.064 },
+                { threshold: 72000, rate: 0.068 },
+                { threshold: 96000, rate: 0.072 },
+                { threshold: 250000, rate: 0.076 },
+                { threshold: 350000, rate: 0.079 },
+                { threshold: 450000, rate: 0.0825 },
+                { threshold: 550000, rate: 0.09 },
+                { threshold: 650000, rate: 0.10 },
+                { threshold: Infinity, rate: 0.11 }
+            ]
+        },
+        ID: {
+            name: 'Idaho',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: 4811, rate: 0.00 },
+                { threshold: Infinity, rate: 0.053 }
+            ],
+            marriedBrackets: [
+                { threshold: 9622, rate: 0.00 },
+                { threshold: Infinity, rate: 0.053 }
+            ]
+        },
+        IL: {
+            name: 'Illinois',
+            deduction: { single: 2850, married: 5700 },
+            brackets: [
+                { threshold: Infinity, rate: 0.0495 }
+            ]
+        },
+        IN: {
+            name: 'Indiana',
+            deduction: { single: 1000, married: 2000 },
+            brackets: [
+                { threshold: Infinity, rate: 0.03 }
+            ]
+        },
+        IA: {
+            name: 'Iowa',
+            brackets: [
+                { threshold: Infinity, rate: 0.038 }
+            ]
+        },
+        KS: {
+            name: 'Kansas',
+            deduction: { single: 3605, married: 8240 },
+            brackets: [
+                { threshold: 23000, rate: 0.052 },
+                { threshold: Infinity, rate: 0.0558 }
+            ],
+            marriedBrackets: [
+                { threshold: 46000, rate: 0.052 },
+                { threshold: Infinity, rate: 0.0558 }
+            ]
+        },
+        KY: {
+            name: 'Kentucky',
+            deduction: { single: 3270, married: 6540 },
+            brackets: [
+                { threshold: Infinity, rate: 0.04 }
+            ]
+        },
+        LA: {
+            name: 'Louisiana',
+            deduction: { single: 12500, married: 25000 },
+            brackets: [
+                { threshold: Infinity, rate: 0.03 }
+            ]
+        },
+        ME: {
+            name: 'Maine',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: 26800, rate: 0.058 },
+                { threshold: 63450, rate: 0.0675 },
+                { threshold: Infinity, rate: 0.0715 }
+            ],
+            marriedBrackets: [
+                { threshold: 53600, rate: 0.058 },
+                { threshold: 126900, rate: 0.0675 },
+                { threshold: Infinity, rate: 0.0715 }
+            ]
+        },
+        MD: {
+            name: 'Maryland',
+            deduction: { single: 3350, married: 6700 },
+            brackets: [
+                { threshold: 1000, rate: 0.02 },
+                { threshold: 2000, rate: 0.03 },
+                { threshold: 3000, rate: 0.04 },
+                { threshold: 100000, rate: 0.0475 },
+                { threshold: 125000, rate: 0.05 },
+                { threshold: 150000, rate: 0.0525 },
+                { threshold: 250000, rate: 0.055 },
+                { threshold: 500000, rate: 0.0575 },
+                { threshold: 1000000, rate: 0.0625 },
+                { threshold: Infinity, rate: 0.065 }
+            ],
+            marriedBrackets: [
+                { threshold: 1000, rate: 0.02 },
+                { threshold: 2000, rate: 0.03 },
+                { threshold: 3000, rate: 0.04 },
+                { threshold: 150000, rate: 0.0475 },
+                { threshold: 175000, rate: 0.05 },
+                { threshold: 225000, rate: 0.0525 },
+                { threshold: 300000, rate: 0.055 },
+                { threshold: 600000, rate: 0.0575 },
+                { threshold: 1200000, rate: 0.0625 },
+                { threshold: Infinity, rate: 0.065 }
+            ]
+        },
+        MA: {
+            name: 'Massachusetts',
+            deduction: { single: 4400, married: 8800 },
+            brackets: [
+                { threshold: 1083150, rate: 0.05 },
+                { threshold: Infinity, rate: 0.09 }
+            ]
+        },
+        MI: {
+            name: 'Michigan',
+            deduction: { single: 5800, married: 11600 },
+            brackets: [
+                { threshold: Infinity, rate: 0.0425 }
+            ]
+        },
+        MN: {
+            name: 'Minnesota',
+            deduction: { single: 14950, married: 29900 },
+            brackets: [
+                { threshold: 32570, rate: 0.0535 },
+                { threshold: 106990, rate: 0.068 },
+                { threshold: 198630, rate: 0.0785 },
+                { threshold: Infinity, rate: 0.0985 }
+            ],
+            marriedBrackets: [
+                { threshold: 47620, rate: 0.0535 },
+                { threshold: 189180, rate: 0.068 },
+                { threshold: 330410, rate: 0.0785 },
+                { threshold: Infinity, rate: 0.0985 }
+            ]
+        },
+        MS: {
+            name: 'Mississippi',
+            deduction: { single: 2300, married: 4600 },
+            brackets: [
+                { threshold: 10000, rate: 0.00 },
+                { threshold: Infinity, rate: 0.044 }
+            ]
+        },
+        MO: {
+            name: 'Missouri',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: 1313, rate: 0.00 },
+                { threshold: 2626, rate: 0.02 },
+                { threshold: 3939, rate: 0.025 },
+                { threshold: 5252, rate: 0.03 },
+                { threshold: 6565, rate: 0.035 },
+                { threshold: 7878, rate: 0.04 },
+                { threshold: 9191, rate: 0.045 },
+                { threshold: Infinity, rate: 0.047 }
+            ]
+        },
+        MT: {
+            name: 'Montana',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: 21100, rate: 0.047 },
+                { threshold: Infinity, rate: 0.059 }
+            ],
+            marriedBrackets: [
+                { threshold: 42200, rate: 0.047 },
+                { threshold: Infinity, rate: 0.059 }
+            ]
+        },
+        NE: {
+            name: 'Nebraska',
+            deduction: { single: 8600, married: 17200 },
+            brackets: [
+                { threshold: 4030, rate: 0.0246 },
+                { threshold: 24120, rate: 0.0351 },
+                { threshold: 38870, rate: 0.0501 },
+                { threshold: Infinity, rate: 0.052 }
+            ],
+            marriedBrackets: [
+                { threshold: 8040, rate: 0.0246 },
+                { threshold: 48250, rate: 0.0351 },
+                { threshold: 77730, rate: 0.0501 },
+                { threshold: Infinity, rate: 0.052 }
+            ]
+        },
+        NV: {
+            name: 'Nevada',
+            brackets: []
+        },
+        NH: {
+            name: 'New Hampshire',
+            brackets: []
+        },
+        NJ: {
+            name: 'New Jersey',
+            deduction: { single: 1000, married: 2000 },
+            brackets: [
+                { threshold: 20000, rate: 0.014 },
+                { threshold: 35000, rate: 0.0175 },
+                { threshold: 40000, rate: 0.035 },
+                { threshold: 75000, rate: 0.05525 },
+                { threshold: 500000, rate: 0.0637 },
+                { threshold: 1000000, rate: 0.0897 },
+                { threshold: Infinity, rate: 0.1075 }
+            ],
+            marriedBrackets: [
+                { threshold: 20000, rate: 0.014 },
+                { threshold: 50000, rate: 0.0175 },
+                { threshold: 70000, rate: 0.0245 },
+                { threshold: 80000, rate: 0.035 },
+                { threshold: 150000, rate: 0.05525 },
+                { threshold: 500000, rate: 0.0637 },
+                { threshold: 1000000, rate: 0.0897 },
+                { threshold: Infinity, rate: 0.1075 }
+            ]
+        },
+        NM: {
+            name: 'New Mexico',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: 5500, rate: 0.015 },
+                { threshold: 16500, rate: 0.032 },
+                { threshold: 33500, rate: 0.043 },
+                { threshold: 66500, rate: 0.047 },
+                { threshold: 210000, rate: 0.049 },
+                { threshold: Infinity, rate: 0.059 }
+            ],
+            marriedBrackets: [
+                { threshold: 8000, rate: 0.015 },
+                { threshold: 25000, rate: 0.032 },
+                { threshold: 50000, rate: 0.043 },
+                { threshold: 100000, rate: 0.047 },
+                { threshold: 315000, rate: 0.049 },
+                { threshold: Infinity, rate: 0.059 }
+            ]
+        },
+        NY: {
+            name: 'New York',
+            deduction: { single: 8000, married: 16050 },
+            brackets: [
+                { threshold: 8500, rate: 0.04 },
+                { threshold: 11700, rate: 0.045 },
+                { threshold: 13900, rate: 0.0525 },
+                { threshold: 80650, rate: 0.055 },
+                { threshold: 215400, rate: 0.06 },
+                { threshold: 1077550, rate: 0.0685 },
+                { threshold: 5000000, rate: 0.0965 },
+                { threshold: 25000000, rate: 0.103 },
+                { threshold: Infinity, rate: 0.109 }
+            ],
+            marriedBrackets: [
+                { threshold: 17150, rate: 0.04 },
+                { threshold: 23600, rate: 0.045 },
+                { threshold: 27900, rate: 0.0525 },
+                { threshold: 161550, rate: 0.055 },
+                { threshold: 323200, rate: 0.06 },
+                { threshold: 2155350, rate: 0.0685 },
+                { threshold: 5000000, rate: 0.0965 },
+                { threshold: 25000000, rate: 0.103 },
+                { threshold: Infinity, rate: 0.109 }
+            ]
+        },
+        NC: {
+            name: 'North Carolina',
+            deduction: { single: 12750, married: 25500 },
+            brackets: [
+                { threshold: Infinity, rate: 0.0425 }
+            ]
+        },
+        ND: {
+            name: 'North Dakota',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: 48475, rate: 0.00 },
+                { threshold: 244825, rate: 0.0195 },
+                { threshold: Infinity, rate: 0.025 }
+            ],
+            marriedBrackets: [
+                { threshold: 80975, rate: 0.00 },
+                { threshold: 298075, rate: 0.0195 },
+                { threshold: Infinity, rate: 0.025 }
+            ]
+        },
+        OH: {
+            name: 'Ohio',
+            brackets: [
+                { threshold: 26050, rate: 0.00 },
+                { threshold: 100000, rate: 0.0275 },
+                { threshold: Infinity, rate: 0.03125 }
+            ]
+        },
+        OK: {
+            name: 'Oklahoma',
+            deduction: { single: 6350, married: 12700 },
+            brackets: [
+                { threshold: 1000, rate: 0.0025 },
+                { threshold: 2500, rate: 0.0075 },
+                { threshold: 3750, rate: 0.0175 },
+                { threshold: 4900, rate: 0.0275 },
+                { threshold: 7200, rate: 0.0375 },
+                { threshold: Infinity, rate: 0.0475 }
+            ],
+            marriedBrackets: [
+                { threshold: 2000, rate: 0.0025 },
+                { threshold: 5000, rate: 0.0075 },
+                { threshold: 7500, rate: 0.0175 },
+                { threshold: 9800, rate: 0.0275 },
+                { threshold: 12200, rate: 0.0375 },
+                { threshold: Infinity, rate: 0.0475 }
+            ]
+        },
+        OR: {
+            name: 'Oregon',
+            deduction: { single: 2835, married: 5670 },
+            brackets: [
+                { threshold: 4400, rate: 0.0475 },
+                { threshold: 11050, rate: 0.0675 },
+                { threshold: 125000, rate: 0.0875 },
+                { threshold: Infinity, rate: 0.099 }
+            ],
+            marriedBrackets: [
+                { threshold: 8800, rate: 0.0475 },
+                { threshold: 22100, rate: 0.0675 },
+                { threshold: 250000, rate: 0.0875 },
+                { threshold: Infinity, rate: 0.099 }
+            ]
+        },
+        PA: {
+            name: 'Pennsylvania',
+            brackets: [
+                { threshold: Infinity, rate: 0.0307 }
+            ]
+        },
+        RI: {
+            name: 'Rhode Island',
+            deduction: { single: 10900, married: 21800 },
+            brackets: [
+                { threshold: 79900, rate: 0.0375 },
+                { threshold: 181650, rate: 0.0475 },
+                { threshold: Infinity, rate: 0.0599 }
+            ]
+        },
+        SC: {
+            name: 'South Carolina',
+            deduction: { single: 15750, married: 31500 },
+            brackets: [
+                { threshold: 3560, rate: 0.00 },
+                { threshold: 17830, rate: 0.03 },
+                { threshold: Infinity, rate: 0.06 }
+            ]
+        },
+        SD: {
+            name: 'South Dakota',
+            brackets: []
+        },
+        TN: {
+            name: 'Tennessee',
+            brackets: []
+        },
+        TX: {
+            name: 'Texas',
+            brackets: []
+        },
+        UT: {
+            name: 'Utah',
+            brackets: [
+                { threshold: Infinity, rate: 0.045 }
+            ]
+        },
+        VT: {
+            name: 'Vermont',
+            deduction: { single: 7400, married: 14850 },
+            brackets: [
+                { threshold: 49400, rate: 0.0335 },
+                { threshold: 119700, rate: 0.066 },
+                { threshold: 249700, rate: 0.076 },
+                { threshold: Infinity, rate: 0.0875 }
+            ],
+            marriedBrackets: [
+                { threshold: 82500, rate: 0.0335 },
+                { threshold: 199450, rate: 0.066 },
+                { threshold: 304000, rate: 0.076 },
+                { threshold: Infinity, rate: 0.0875 }
+            ]
+        },
+        VA: {
+            name: 'Virginia',
+            deduction: { single: 8500, married: 17000 },
+            brackets: [
+                { threshold: 3000, rate: 0.02 },
+                { threshold: 5000, rate: 0.03 },
+                { threshold: 17000, rate: 0.05 },
+                { threshold: Infinity, rate: 0.0575 }
+            ]
+        },
+        WA: {
+            name: 'Washington',
+            brackets: []
+        },
+        WV: {
+            name: 'West Virginia',
+            brackets: [
+                { threshold: 10000, rate: 0.0222 },
+                { threshold: 25000, rate: 0.0296 },
+                { threshold: 40000, rate: 0.0333 },
+                { threshold: 60000, rate: 0.0444 },
+                { threshold: Infinity, rate: 0.0482 }
+            ]
+        },
+        WI: {
+            name: 'Wisconsin',
+            deduction: { single: 13560, married: 25110 },
+            brackets: [
+                { threshold: 14680, rate: 0.035 },
+                { threshold: 29370, rate: 0.044 },
+                { threshold: 323290, rate: 0.053 },
+                { threshold: Infinity, rate: 0.0765 }
+            ],
+            marriedBrackets: [
+                { threshold: 19580, rate: 0.035 },
+                { threshold: 39150, rate: 0.044 },
+                { threshold: 431060, rate: 0.053 },
+                { threshold: Infinity, rate: 0.0765 }
+            ]
+        },
+        WY: {
+            name: 'Wyoming',
+            brackets: []
+        }
     },
     
     // Financial Calculation Parameters
@@ -74,11 +922,277 @@ const APP_CONFIG = {
         AFTER_TAX_SPENDING_RATE: 0.5,    // 50% of after-tax income for spending
         DEFAULT_SAVINGS_RATE: 0.1,       // 10% default savings assumption
         INVESTMENT_RETURN_RATE: 0.07,     // 7% annual return
+        INFLATION_RATE: 0.025,            // 2.5% default inflation assumption
+        CROSSOVER_YEARS: 50,              // Crossover search horizon
         WITHDRAWAL_RATE: 0.05,            // 5% safe withdrawal rate
-        PROJECTION_YEARS: 15,             // 15-year projection period
+        PROJECTION_YEARS: 15,             // Default projection horizon
+        MIN_PROJECTION_YEARS: 5,          // Shortest selectable horizon
+        MAX_PROJECTION_YEARS: 40,         // Longest selectable horizon
         CHALLENGE_RATE: 0.5,              // 50% savings challenge
-        CHALLENGE_MONTHS: 6,              // 6-month challenge duration
-        CAPITAL_GAINS_TAX_RATE: 0.2       // 20% capital gains tax
+        CHALLENGE_MONTHS: 6               // 6-month challenge duration
+    },
+    
+    // Contribution and Compounding Schedules
+    COMPOUNDING: {
+        FREQUENCIES: {
+            monthly: { label: 'Monthly', periodsPerYear: 12 },
+            biweekly: { label: 'Bi-weekly paycheck', periodsPerYear: 26 },
+            annual: { label: 'Annual', periodsPerYear: 1 }
+        },
+        TIMINGS: ['start', 'end'],
+        DEFAULT_FREQUENCY: 'monthly',
+        DEFAULT_TIMING: 'end'
+    },
+    
+    // Household Earners
+    HOUSEHOLD: {
+        MODES: {
+            individual: 'Just me',
+            twoEarner: 'Two earners'
+        },
+        DEFAULT_MODE: 'individual',
+        // A partner's income can only be entered with a married filing status
+        FILING_STATUSES: ['marriedJointly', 'marriedSeparately']
+    },
+    
+    // Asset Allocation and Glide Path
+    ALLOCATION: {
+        MODES: {
+            single: 'Single expected return',
+            static: 'Fixed stock / bond / cash mix',
+            glidePath: 'Glide path (shift stocks to bonds over time)'
+        },
+        DEFAULT_MODE: 'single',
+        ASSET_CLASSES: {
+            stocks: { label: 'Stocks', expectedReturn: 0.085, defaultWeight: 0.6 },
+            bonds: { label: 'Bonds', expectedReturn: 0.045 },                   // Bonds default to what stocks and cash leave
+            cash: { label: 'Cash', expectedReturn: 0.03, defaultWeight: 0 }
+        },
+        DEFAULT_GLIDE_END_STOCKS: 0.3,   // Stock share once the glide path is complete
+        DEFAULT_GLIDE_YEARS: 20
+    },
+    
+    // Investment Fees
+    FEES: {
+        MAX_EXPENSE_RATIO: 0.03,         // 3% fund expense ratio
+        MAX_ADVISORY_FEE: 0.03           // 3% of assets advisory fee
+    },
+    
+    // Debt Payoff Planner
+    DEBTS: {
+        STRATEGIES: {
+            avalanche: 'Avalanche (highest APR first)',
+            snowball: 'Snowball (smallest balance first)'
+        },
+        DEFAULT_STRATEGY: 'avalanche',
+        MAX_DEBTS: 10,
+        MAX_PAYOFF_MONTHS: 600           // Stop simulating payoff after 50 years
+    },
+    
+    // Life Events Timeline
+    LIFE_EVENTS: {
+        // Spending changes move savings the other way, since earned income is unchanged
+        TYPES: {
+            spendMore: { label: 'Spend more', target: 'saving', sign: -1 },
+            spendLess: { label: 'Spend less', target: 'saving', sign: 1 },
+            saveMore: { label: 'Save more', target: 'saving', sign: 1 },
+            saveLess: { label: 'Save less', target: 'saving', sign: -1 },
+            addAssets: { label: 'Add to assets', target: 'assets', sign: 1 },
+            withdrawAssets: { label: 'Take from assets', target: 'assets', sign: -1 }
+        },
+        FREQUENCIES: {
+            once: 'One-time',
+            recurring: 'Every year'
+        },
+        MAX_EVENTS: 10
+    },
+    
+    // Retirement Withdrawal Strategies
+    WITHDRAWAL: {
+        STRATEGIES: {
+            fixedDollar: 'Fixed dollar',
+            fixedPercent: 'Fixed percentage',
+            guytonKlinger: 'Guyton-Klinger guardrails',
+            vpw: 'Variable percentage (VPW)'
+        },
+        DEFAULT_STRATEGY: 'fixedDollar',
+        DEFAULT_RATE: 0.04,               // Share of the balance spent each year (fixed percentage)
+        DEFAULT_YEARS: 40,                // Planning horizon the VPW spends down over
+        GUARDRAIL_BAND: 0.2,              // Guardrails sit 20% either side of the initial withdrawal rate
+        GUARDRAIL_ADJUSTMENT: 0.1,        // Spending moves 10% when a guardrail is crossed
+        MAX_YEARS: 200,                   // Assets lasting longer than this count as indefinite
+        // Strategies whose spending shrinks with the balance instead of running it dry;
+        // these are scored by the first year spending falls below the planned amount
+        FLOOR_STRATEGIES: ['fixedPercent', 'vpw'],
+        SCHEDULE_YEARS: 40                // Years shown in the drawdown schedule
+    },
+    
+    // Savings Goal Solver
+    GOAL_SOLVER: {
+        TYPES: {
+            none: 'No goal',
+            independence: 'Financially independent by a target year',
+            wealth: 'Asset base target by a target year'
+        },
+        DEFAULT_TYPE: 'none',
+        TOLERANCE: 1,                    // Solve the required saving to the nearest dollar
+        MAX_ITERATIONS: 60
+    },
+    
+    // Coast FI and Barista FI Milestones
+    MILESTONES: {
+        DEFAULT_TARGET_AGE: 65,           // Age a coasting portfolio must reach independence by
+        DEFAULT_TARGET_YEARS: 25,         // Years to that target when no age is entered
+        DEFAULT_PART_TIME_SHARE: 0.5      // Barista FI part-time pay as a share of today's after-tax income
+    },
+    
+    // Social Security and Pension Income Streams
+    INCOME_STREAMS: {
+        TYPES: {
+            socialSecurity: { label: 'Social Security' },                      // Taxable share set by SOCIAL_SECURITY_TAX
+            pension: { label: 'Pension / annuity', taxableShare: 1 }
+        },
+        // Federal provisional income test: other income plus half of benefits.
+        // The thresholds are set in law and not indexed for inflation.
+        SOCIAL_SECURITY_TAX: {
+            THRESHOLDS: {
+                single: { base: 25000, adjusted: 34000 },
+                marriedJointly: { base: 32000, adjusted: 44000 },
+                marriedSeparately: { base: 0, adjusted: 0 },
+                headOfHousehold: { base: 25000, adjusted: 34000 }
+            },
+            BASE_SHARE: 0.5,             // Up to 50% of benefits taxable between the thresholds
+            MAX_SHARE: 0.85              // Up to 85% taxable above the adjusted threshold
+        },
+        DEFAULT_TYPE: 'socialSecurity',
+        MIN_START_YEAR: 1900,            // Start values from here up are calendar years, below are ages
+        MAX_STREAMS: 5
+    },
+    
+    // Monte Carlo Simulation Settings
+    MONTE_CARLO: {
+        SIMULATIONS: 5000,               // Return paths per run
+        BATCH_SIZE: 250,                 // Paths between pauses that let the page repaint
+        DEFAULT_VOLATILITY: 0.15,        // 15% standard deviation of annual returns
+        DEFAULT_SEED: 12345,             // Fixed seed so results are reproducible
+        ENDURANCE_YEARS: 50,             // Horizon for "never runs dry"
+        PERCENTILES: [0.1, 0.5, 0.9],
+        MIN_ANNUAL_RETURN: -0.95         // Floor on a single year's simulated return
+    },
+    
+    // Historical Annual Returns (backtesting)
+    // S&P 500 total return, 10-year Treasury total return and CPI-U inflation (Dec to Dec)
+    // Sources: Damodaran Online (NYU Stern) historical returns; U.S. Bureau of Labor Statistics
+    HISTORICAL_RETURNS: {
+        STOCK_ALLOCATION: 0.6,           // Stock share when no allocation is given (rest in bonds), rebalanced every year
+        HORIZON_YEARS: 30,               // Years each historical sequence must cover
+        // [year, stocks, bonds, inflation]
+        DATA: [
+            [1928, 0.4381, 0.0084, -0.0097],
+            [1929, -0.0830, 0.0420, 0.0020],
+            [1930, -0.2512, 0.0454, -0.0603],
+            [1931, -0.4384, -0.0256, -0.0952],
+            [1932, -0.0864, 0.0879, -0.1030],
+            [1933, 0.4998, 0.0186, 0.0051],
+            [1934, -0.0119, 0.0796, 0.0203],
+            [1935, 0.4674, 0.0447, 0.0299],
+            [1936, 0.3194, 0.0502, 0.0121],
+            [1937, -0.3534, 0.0138, 0.0310],
+            [1938, 0.2928, 0.0421, -0.0278],
+            [1939, -0.0110, 0.0441, -0.0048],
+            [1940, -0.1067, 0.0540, 0.0096],
+            [1941, -0.1277, -0.0202, 0.0972],
+            [1942, 0.1917, 0.0229, 0.0929],
+            [1943, 0.2506, 0.0249, 0.0316],
+            [1944, 0.1903, 0.0258, 0.0211],
+            [1945, 0.3582, 0.0380, 0.0225],
+            [1946, -0.0843, 0.0313, 0.1813],
+            [1947, 0.0520, 0.0092, 0.0884],
+            [1948, 0.0570, 0.0195, 0.0299],
+            [1949, 0.1830, 0.0466, -0.0207],
+            [1950, 0.3081, 0.0043, 0.0593],
+            [1951, 0.2368, -0.0030, 0.0600],
+            [1952, 0.1815, 0.0227, 0.0075],
+            [1953, -0.0121, 0.0414, 0.0075],
+            [1954, 0.5256, 0.0329, -0.0074],
+            [1955, 0.3260, -0.0134, 0.0037],
+            [1956, 0.0744, -0.0226, 0.0299],
+            [1957, -0.1046, 0.0680, 0.0290],
+            [1958, 0.4372, -0.0210, 0.0176],
+            [1959, 0.1206, -0.0265, 0.0173],
+            [1960, 0.0034, 0.1164, 0.0136],
+            [1961, 0.2664, 0.0206, 0.0067],
+            [1962, -0.0881, 0.0569, 0.0133],
+            [1963, 0.2261, 0.0168, 0.0164],
+            [1964, 0.1642, 0.0373, 0.0097],
+            [1965, 0.1240, 0.0072, 0.0192],
+            [1966, -0.0997, 0.0291, 0.0346],
+            [1967, 0.2380, -0.0158, 0.0304],
+            [1968, 0.1081, 0.0327, 0.0472],
+            [1969, -0.0824, -0.0501, 0.0620],
+            [1970, 0.0356, 0.1675, 0.0557],
+            [1971, 0.1422, 0.0979, 0.0327],
+            [1972, 0.1876, 0.0282, 0.0341],
+            [1973, -0.1431, 0.0366, 0.0871],
+            [1974, -0.2590, 0.0199, 0.1234],
+            [1975, 0.3700, 0.0361, 0.0694],
+            [1976, 0.2383, 0.1598, 0.0486],
+            [1977, -0.0698, 0.0129, 0.0670],
+            [1978, 0.0651, -0.0078, 0.0902],
+            [1979, 0.1852, 0.0067, 0.1329],
+            [1980, 0.3174, -0.0299, 0.1252],
+            [1981, -0.0470, 0.0820, 0.0892],
+            [1982, 0.2042, 0.3281, 0.0383],
+            [1983, 0.2234, 0.0320, 0.0379],
+            [1984, 0.0615, 0.1373, 0.0395],
+            [1985, 0.3124, 0.2571, 0.0380],
+            [1986, 0.1849, 0.2428, 0.0110],
+            [1987, 0.0581, -0.0496, 0.0443],
+            [1988, 0.1654, 0.0822, 0.0442],
+            [1989, 0.3148, 0.1769, 0.0465],
+            [1990, -0.0306, 0.0624, 0.0611],
+            [1991, 0.3023, 0.1500, 0.0306],
+            [1992, 0.0749, 0.0936, 0.0290],
+            [1993, 0.0997, 0.1421, 0.0275],
+            [1994, 0.0133, -0.0804, 0.0267],
+            [1995, 0.3720, 0.2348, 0.0254],
+            [1996, 0.2268, 0.0143, 0.0332],
+            [1997, 0.3310, 0.0994, 0.0170],
+            [1998, 0.2834, 0.1492, 0.0161],
+            [1999, 0.2089, -0.0825, 0.0268],
+            [2000, -0.0903, 0.1666, 0.0339],
+            [2001, -0.1185, 0.0557, 0.0155],
+            [2002, -0.2197, 0.1512, 0.0238],
+            [2003, 0.2836, 0.0038, 0.0188],
+            [2004, 0.1074, 0.0449, 0.0326],
+            [2005, 0.0483, 0.0287, 0.0342],
+            [2006, 0.1561, 0.0196, 0.0254],
+            [2007, 0.0548, 0.1021, 0.0408],
+            [2008, -0.3655, 0.2010, 0.0009],
+            [2009, 0.2594, -0.1112, 0.0272],
+            [2010, 0.1482, 0.0846, 0.0150],
+            [2011, 0.0210, 0.1604, 0.0296],
+            [2012, 0.1589, 0.0297, 0.0174],
+            [2013, 0.3215, -0.0910, 0.0150],
+            [2014, 0.1352, 0.1075, 0.0076],
+            [2015, 0.0138, 0.0128, 0.0073],
+            [2016, 0.1177, 0.0069, 0.0207],
+            [2017, 0.2161, 0.0280, 0.0211],
+            [2018, -0.0423, -0.0002, 0.0191],
+            [2019, 0.3121, 0.0964, 0.0229],
+            [2020, 0.1802, 0.1133, 0.0136],
+            [2021, 0.2847, -0.0442, 0.0704],
+            [2022, -0.1804, -0.1783, 0.0645],
+            [2023, 0.2606, 0.0388, 0.0335],
+            [2024, 0.2488, -0.0164, 0.0289]
+        ]
+    },
+    
+    // Investment Account Types (stacking order in charts)
+    ACCOUNT_TYPES: {
+        taxable: { label: 'Taxable Brokerage', shortLabel: 'Taxable' },
+        taxDeferred: { label: 'Tax-Deferred (401k/IRA/HSA)', shortLabel: 'Deferred' },
+        roth: { label: 'Roth (Tax-Free)', shortLabel: 'Roth' }
     },
     
     // Chart.js Configuration
@@ -94,6 +1208,30 @@ const APP_CONFIG = {
             white: '#ffffff',
             error: '#e74c3c'
         },
+        // One color per federal bracket, lowest rate first
+        BRACKET_COLORS: ['#a4d65f', '#8cc63f', '#6fa02e', '#f0b06e', '#ea9d4b', '#d18a3f', '#e74c3c'],
+        // One color per investment account type
+        ACCOUNT_COLORS: {
+            taxable: '#8cc63f',
+            taxDeferred: '#ea9d4b',
+            roth: '#8a9ba8'
+        },
+        // Partner's after-tax share in the income doughnut
+        PARTNER_COLOR: '#a4d65f',
+        // Monte Carlo percentile band fill
+        BAND_COLOR: 'rgba(140, 198, 63, 0.15)',
+        // Vertical marker lines (debt payoff dates, life events and FI milestones)
+        MARKER_COLORS: {
+            debt: '#e74c3c',
+            lifeEvent: '#5dade2',
+            coastFI: '#af7ac5',
+            baristaFI: '#48c9b0'
+        },
+        // Social Security and pension income area
+        STREAM_COLORS: {
+            border: '#f5d76e',
+            fill: 'rgba(245, 215, 110, 0.25)'
+        },
         DEFAULTS: {
             fontFamily: "'Inter', -apple-system, sans-serif",
             fontSize: 14,
@@ -112,37 +1250,114 @@ class ApplicationState {
         // User input values
         this.userInputs = {
             preTaxIncome: 0,
+            selfEmploymentIncome: 0,
             wealthAccount: 0,
-            stateIncomeTax: 0,
-            filingStatus: ''
+            wealthTaxDeferred: 0,
+            wealthRoth: 0,
+            stateOfResidence: '',
+            stateIncomeTax: '',
+            itemizedDeductions: 0,
+            contribution401k: 0,
+            contributionIRA: 0,
+            contributionHSA: 0,
+            contributionRoth: 0,
+            hsaCoverage: 'self',
+            numberOfChildren: 0,
+            childCareExpenses: 0,
+            age: '',
+            filingStatus: '',
+            householdMode: APP_CONFIG.HOUSEHOLD.DEFAULT_MODE,
+            partner: null,
+            taxYear: 0,
+            inflationRate: APP_CONFIG.FINANCIAL.INFLATION_RATE,
+            projectionYears: APP_CONFIG.FINANCIAL.PROJECTION_YEARS,
+            contributionFrequency: APP_CONFIG.COMPOUNDING.DEFAULT_FREQUENCY,
+            contributionTiming: APP_CONFIG.COMPOUNDING.DEFAULT_TIMING,
+            allocationMode: APP_CONFIG.ALLOCATION.DEFAULT_MODE,
+            allocation: null,
+            expenseRatio: 0,
+            advisoryFee: 0,
+            debts: [],
+            debtStrategy: APP_CONFIG.DEBTS.DEFAULT_STRATEGY,
+            extraDebtPayment: 0,
+            lifeEvents: [],
+            withdrawalStrategy: APP_CONFIG.WITHDRAWAL.DEFAULT_STRATEGY,
+            withdrawalRate: APP_CONFIG.WITHDRAWAL.DEFAULT_RATE,
+            withdrawalYears: APP_CONFIG.WITHDRAWAL.DEFAULT_YEARS,
+            coastTargetAge: '',
+            partTimeIncome: '',
+            goalType: APP_CONFIG.GOAL_SOLVER.DEFAULT_TYPE,
+            goalYears: '',
+            goalAmount: '',
+            incomeStreams: [],
+            salaryGrowthMode: 'inflation',
+            salaryGrowthRate: 0,
+            salaryGrowthSchedule: [],
+            simulationMode: 'deterministic',
+            expectedReturn: APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE,
+            returnVolatility: APP_CONFIG.MONTE_CARLO.DEFAULT_VOLATILITY,
+            randomSeed: APP_CONFIG.MONTE_CARLO.DEFAULT_SEED
         };
         
         // Calculated results
         this.calculations = {
+            grossIncome: 0,
+            adjustedGrossIncome: 0,
+            deduction: 0,
+            qbiDeduction: 0,
+            taxableIncome: 0,
+            federalTaxBeforeCredits: 0,
+            taxCredits: 0,
             federalTax: 0,
+            federalBreakdown: null,
+            payrollTax: 0,
+            selfEmploymentTax: 0,
+            stateIncomeTax: 0,
             totalTax: 0,
             afterTaxIncome: 0,
+            earnerShares: null,
+            preTaxContributions: 0,
+            rothContributions: 0,
+            preTaxTaxSavings: 0,
+            estimatedPayments: [],
             targetSpending: 0,
             targetSaving: 0,
             estimatedSaving: 0,
             estimatedSpending: 0,
-            wealthAccount: 0
+            wealthAccount: 0,
+            wealthBuckets: { taxable: 0, taxDeferred: 0, roth: 0 },
+            inflationRate: APP_CONFIG.FINANCIAL.INFLATION_RATE,
+            realReturnRate: 0,
+            returnPath: [],
+            grossReturnPath: [],
+            annualFee: 0,
+            allocation: null,
+            projectionYears: APP_CONFIG.FINANCIAL.PROJECTION_YEARS,
+            compoundingSchedule: { periodsPerYear: 12, timing: 'end' },
+            debtPlan: null,
+            lifeEvents: [],
+            withdrawalStrategy: { type: APP_CONFIG.WITHDRAWAL.DEFAULT_STRATEGY },
+            streamIncome: []
         };
         
         // Chart instances
         this.charts = {
             income: null,
+            brackets: null,
             spending: null,
             savings: null,
             projection: null,
-            crossover: null
+            crossover: null,
+            backtest: null,
+            drawdown: null
         };
         
         // Projection data arrays
         this.projectionData = {
             current: [],
             target: [],
-            adjusted: []
+            adjusted: [],
+            adjustedBuckets: []
         };
         
         // Crossover analysis data
@@ -150,6 +1365,27 @@ class ApplicationState {
             worker: null,
             investor: null
         };
+        
+        // Monte Carlo results (null when running deterministic projections)
+        this.monteCarloData = null;
+        
+        // Historical backtest results
+        this.backtestData = null;
+        
+        // Savings goal solver results (null when no goal is set)
+        this.goalData = null;
+        
+        // Fee drag comparison (null when there are no fees)
+        this.feeData = null;
+        
+        // Drawdown schedule of the investor's future asset base
+        this.drawdownData = null;
+        
+        // Coast FI and Barista FI milestones by path
+        this.milestoneData = null;
+        
+        // Dollar basis for projections: 'nominal' (future dollars) or 'real' (today's dollars)
+        this.dollarBasis = 'nominal';
     }
     
     /**
@@ -166,32 +1402,120 @@ class ApplicationState {
         // Reset all data
         this.userInputs = {
             preTaxIncome: 0,
+            selfEmploymentIncome: 0,
             wealthAccount: 0,
-            stateIncomeTax: 0,
-            filingStatus: ''
+            wealthTaxDeferred: 0,
+            wealthRoth: 0,
+            stateOfResidence: '',
+            stateIncomeTax: '',
+            itemizedDeductions: 0,
+            contribution401k: 0,
+            contributionIRA: 0,
+            contributionHSA: 0,
+            contributionRoth: 0,
+            hsaCoverage: 'self',
+            numberOfChildren: 0,
+            childCareExpenses: 0,
+            age: '',
+            filingStatus: '',
+            householdMode: APP_CONFIG.HOUSEHOLD.DEFAULT_MODE,
+            partner: null,
+            taxYear: 0,
+            inflationRate: APP_CONFIG.FINANCIAL.INFLATION_RATE,
+            projectionYears: APP_CONFIG.FINANCIAL.PROJECTION_YEARS,
+            contributionFrequency: APP_CONFIG.COMPOUNDING.DEFAULT_FREQUENCY,
+            contributionTiming: APP_CONFIG.COMPOUNDING.DEFAULT_TIMING,
+            allocationMode: APP_CONFIG.ALLOCATION.DEFAULT_MODE,
+            allocation: null,
+            expenseRatio: 0,
+            advisoryFee: 0,
+            debts: [],
+            debtStrategy: APP_CONFIG.DEBTS.DEFAULT_STRATEGY,
+            extraDebtPayment: 0,
+            lifeEvents: [],
+            withdrawalStrategy: APP_CONFIG.WITHDRAWAL.DEFAULT_STRATEGY,
+            withdrawalRate: APP_CONFIG.WITHDRAWAL.DEFAULT_RATE,
+            withdrawalYears: APP_CONFIG.WITHDRAWAL.DEFAULT_YEARS,
+            coastTargetAge: '',
+            partTimeIncome: '',
+            goalType: APP_CONFIG.GOAL_SOLVER.DEFAULT_TYPE,
+            goalYears: '',
+            goalAmount: '',
+            incomeStreams: [],
+            salaryGrowthMode: 'inflation',
+            salaryGrowthRate: 0,
+            salaryGrowthSchedule: [],
+            simulationMode: 'deterministic',
+            expectedReturn: APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE,
+            returnVolatility: APP_CONFIG.MONTE_CARLO.DEFAULT_VOLATILITY,
+            randomSeed: APP_CONFIG.MONTE_CARLO.DEFAULT_SEED
         };
         
         this.calculations = {
+            grossIncome: 0,
+            adjustedGrossIncome: 0,
+            deduction: 0,
+            qbiDeduction: 0,
+            taxableIncome: 0,
+            federalTaxBeforeCredits: 0,
+            taxCredits: 0,
             federalTax: 0,
+            federalBreakdown: null,
+            payrollTax: 0,
+            selfEmploymentTax: 0,
+            stateIncomeTax: 0,
             totalTax: 0,
             afterTaxIncome: 0,
+            earnerShares: null,
+            preTaxContributions: 0,
+            rothContributions: 0,
+            preTaxTaxSavings: 0,
+            estimatedPayments: [],
             targetSpending: 0,
             targetSaving: 0,
             estimatedSaving: 0,
             estimatedSpending: 0,
-            wealthAccount: 0
+            wealthAccount: 0,
+            wealthBuckets: { taxable: 0, taxDeferred: 0, roth: 0 },
+            inflationRate: APP_CONFIG.FINANCIAL.INFLATION_RATE,
+            realReturnRate: 0,
+            returnPath: [],
+            grossReturnPath: [],
+            annualFee: 0,
+            allocation: null,
+            projectionYears: APP_CONFIG.FINANCIAL.PROJECTION_YEARS,
+            compoundingSchedule: { periodsPerYear: 12, timing: 'end' },
+            debtPlan: null,
+            lifeEvents: [],
+            withdrawalStrategy: { type: APP_CONFIG.WITHDRAWAL.DEFAULT_STRATEGY },
+            streamIncome: []
         };
         
         this.projectionData = {
             current: [],
             target: [],
-            adjusted: []
+            adjusted: [],
+            adjustedBuckets: []
         };
         
         this.crossoverData = {
             worker: null,
             investor: null
         };
+        
+        this.monteCarloData = null;
+        
+        this.backtestData = null;
+        
+        this.goalData = null;
+        
+        this.feeData = null;
+        
+        this.drawdownData = null;
+        
+        this.milestoneData = null;
+        
+        this.dollarBasis = 'nominal';
     }
 }
 
@@ -241,6 +1565,110 @@ const UtilityFunctions = {
         return `${Math.round(value * 100)}%`;
     },
     
+    /**
+     * Parse a percentage input into a decimal
+     * @param {string} value - Percentage string (15 = 15%)
+     * @param {number} fallback - Decimal to use when the input is blank
+     * @returns {number} Decimal value (NaN if not a number)
+     */
+    parsePercentage(value, fallback) {
+        if (!value || value.trim() === '') return fallback;
+        return parseFloat(value) / 100;
+    },
+    
+    /**
+     * Format a month counted from today as a short calendar date
+     * @param {number} monthsFromNow - Months after the current month
+     * @returns {string} Date such as "Mar 2028"
+     */
+    formatFutureMonth(monthsFromNow) {
+        const date = new Date();
+        date.setDate(1);
+        date.setMonth(date.getMonth() + monthsFromNow);
+        return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    },
+    
+    /**
+     * Escape user-entered text for use inside an HTML template
+     * @param {string} value - Text to escape
+     * @returns {string} Text with HTML special characters replaced by entities
+     */
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value).replace(/[&<>"']/g, char => entities[char]);
+    },
+    
+    /**
+     * Parse a raise schedule such as "1:4, 5:15, 6:3"
+     * Each year:percent pair sets the annual raise from that year onward.
+     * @param {string} value - Comma-separated year:percent pairs
+     * @returns {Array|null} Steps sorted by year ({ year, rate } with rate as a decimal), or null if invalid
+     */
+    parseRaiseSchedule(value) {
+        if (!value || value.trim() === '') return [];
+        
+        const steps = [];
+        for (const entry of value.split(',')) {
+            const match = entry.trim().match(/^(\d+)\s*:\s*(-?\d+(?:\.\d+)?)\s*%?$/);
+            if (!match) return null;
+            steps.push({ year: parseInt(match[1]), rate: parseFloat(match[2]) / 100 });
+        }
+        
+        return steps.sort((a, b) => a.year - b.year);
+    },
+    
+    /**
+     * Create a seedable pseudo-random number generator (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {Function} Generator returning numbers in [0, 1)
+     */
+    createRandomGenerator(seed) {
+        let state = seed >>> 0;
+        
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+    
+    /**
+     * Draw a standard normal value (Box-Muller transform)
+     * @param {Function} random - Generator returning numbers in [0, 1)
+     * @returns {number} Normally distributed value with mean 0 and standard deviation 1
+     */
+    randomNormal(random) {
+        let u = 0;
+        while (u === 0) {
+            u = random();
+        }
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    },
+    
+    /**
+     * Get the value at a percentile of sorted values (nearest rank)
+     * @param {Array} sortedValues - Values sorted ascending
+     * @param {number} percentile - Percentile as a decimal (0.1 = 10th)
+     * @returns {number} Value at the percentile
+     */
+    percentile(sortedValues, percentile) {
+        const index = Math.min(
+            sortedValues.length - 1, 
+            Math.max(0, Math.ceil(percentile * sortedValues.length) - 1)
+        );
+        return sortedValues[index];
+    },
+    
+    /**
+     * Wait for the next task so the browser can handle input and repaint
+     * @returns {Promise} Resolves on the next turn of the event loop
+     */
+    yieldToBrowser() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    },
+    
     /**
      * Clamp a value between min and max
      * @param {number} value - Value to clamp
@@ -259,235 +1687,2050 @@ const UtilityFunctions = {
 // ============================================
 class TaxCalculator {
     /**
-     * Calculate federal tax using 2024 tax brackets
-     * @param {number} income - Annual gross income
-     * @param {string} filingStatus - Tax filing status
-     * @returns {number} Federal tax amount
+     * Get the tax years that have published tables
+     * @returns {Array<number>} Known tax years in ascending order
      */
-    static calculateFederalTax(income, filingStatus) {
-        // Validate inputs
-        if (income <= 0 || !APP_CONFIG.TAX_BRACKETS[filingStatus]) {
-            return 0;
-        }
-        
-        const brackets = APP_CONFIG.TAX_BRACKETS[filingStatus];
-        let totalTax = 0;
-        let previousThreshold = 0;
-        
-        // Calculate tax for each bracket
-        for (const bracket of brackets) {
-            if (income <= previousThreshold) break;
-            
-            const taxableInThisBracket = Math.min(income, bracket.threshold) - previousThreshold;
-            totalTax += taxableInThisBracket * bracket.rate;
-            previousThreshold = bracket.threshold;
-        }
+    static getPublishedTaxYears() {
+        return Object.keys(APP_CONFIG.TAX_YEARS).map(Number).sort((a, b) => a - b);
+    }
+    
+    /**
+     * Get the tax years offered in the year selector, including projected years
+     * @returns {Array<number>} Selectable tax years in ascending order
+     */
+    static getSelectableTaxYears() {
+        const publishedYears = this.getPublishedTaxYears();
+        const latestYear = publishedYears[publishedYears.length - 1];
+        const projectedYears = Array.from(
+            { length: APP_CONFIG.TAX_PROJECTION_YEARS_AHEAD }, 
+            (_, i) => latestYear + i + 1
+        );
         
-        return Math.round(totalTax);
+        return [...publishedYears, ...projectedYears];
     }
     
     /**
-     * Calculate effective tax rate
-     * @param {number} tax - Total tax amount
-     * @param {number} income - Total income
-     * @returns {number} Effective tax rate as decimal
+     * Get the default tax year (the current calendar year when selectable)
+     * @returns {number} Default tax year
      */
-    static calculateEffectiveRate(tax, income) {
-        if (income <= 0) return 0;
-        return tax / income;
+    static getDefaultTaxYear() {
+        const years = this.getSelectableTaxYears();
+        return UtilityFunctions.clamp(
+            new Date().getFullYear(), 
+            years[0], 
+            years[years.length - 1]
+        );
     }
-}
-
-// ============================================
-// 5. FORM VALIDATION MODULE
-// Input validation and error handling
-// ============================================
-class FormValidator {
+    
     /**
-     * Validate calculator form inputs
-     * @param {Object} inputs - Form input values
-     * @returns {Object} Validation errors object
+     * Check whether a tax year uses projected rather than published tables
+     * @param {number} taxYear - Tax year
+     * @returns {boolean} True if the year is beyond the latest table
      */
-    static validateCalculatorForm(inputs) {
-        const errors = {};
+    static isProjectedYear(taxYear) {
+        const publishedYears = this.getPublishedTaxYears();
+        return taxYear > publishedYears[publishedYears.length - 1];
+    }
+    
+    /**
+     * Get federal tax tables for a tax year, projecting future years
+     * @param {number} taxYear - Tax year
+     * @returns {Object} Ordinary and capital gains brackets, standard deductions,
+     *                   QBI thresholds, credits, Social Security wage base and contribution limits
+     */
+    static getTaxTable(taxYear = this.getDefaultTaxYear()) {
+        const publishedYears = this.getPublishedTaxYears();
+        const earliestYear = publishedYears[0];
+        const latestYear = publishedYears[publishedYears.length - 1];
         
-        // Validate gross income
-        if (!inputs.preTaxIncome || inputs.preTaxIncome <= 0) {
-            errors.preTaxIncome = 'Please enter a valid income amount';
+        if (APP_CONFIG.TAX_YEARS[taxYear]) {
+            return APP_CONFIG.TAX_YEARS[taxYear];
         }
         
-        // Validate wealth account
-        if (inputs.wealthAccount === null || 
-            inputs.wealthAccount === undefined || 
-            inputs.wealthAccount === '') {
-            errors.wealthAccount = 'Please enter your wealth account amount (enter $0 if none)';
-        } else if (inputs.wealthAccount < 0) {
-            errors.wealthAccount = 'Wealth account cannot be negative';
+        // Invalid years use the latest table; earlier years use the earliest
+        if (!Number.isFinite(taxYear)) {
+            return APP_CONFIG.TAX_YEARS[latestYear];
         }
-        
-        // Validate state tax
-        if (inputs.stateIncomeTax < 0) {
-            errors.stateIncomeTax = 'State tax cannot be negative';
+        if (taxYear < earliestYear) {
+            return APP_CONFIG.TAX_YEARS[earliestYear];
         }
         
-        // Validate filing status
-        if (!inputs.filingStatus) {
-            errors.filingStatus = 'Please select a filing status';
+        // Index the latest table forward, rounding down to $50 like the IRS
+        const latestTable = APP_CONFIG.TAX_YEARS[latestYear];
+        const factor = Math.pow(1 + APP_CONFIG.TAX_INDEXING_RATE, taxYear - latestYear);
+        const indexAmount = (amount, step = 50) => amount === Infinity 
+            ? Infinity 
+            : Math.floor(amount * factor / step) * step;
+        
+        const indexBrackets = (bracketsByStatus) => {
+            const indexed = {};
+            Object.entries(bracketsByStatus).forEach(([status, statusBrackets]) => {
+                indexed[status] = statusBrackets.map(bracket => ({
+                    threshold: indexAmount(bracket.threshold),
+                    rate: bracket.rate
+                }));
+            });
+            return indexed;
+        };
+        
+        const standardDeductions = {};
+        Object.entries(latestTable.STANDARD_DEDUCTIONS).forEach(([status, amount]) => {
+            standardDeductions[status] = indexAmount(amount);
+        });
+        
+        // Retirement limits move in $500 steps; the HSA catch-up is fixed by statute
+        const latestLimits = latestTable.CONTRIBUTION_LIMITS;
+        const contributionLimits = {
+            EMPLOYEE_401K: indexAmount(latestLimits.EMPLOYEE_401K, 500),
+            EMPLOYEE_401K_CATCH_UP: indexAmount(latestLimits.EMPLOYEE_401K_CATCH_UP, 500),
+            EMPLOYEE_401K_SUPER_CATCH_UP: indexAmount(latestLimits.EMPLOYEE_401K_SUPER_CATCH_UP, 500),
+            IRA: indexAmount(latestLimits.IRA, 500),
+            IRA_CATCH_UP: indexAmount(latestLimits.IRA_CATCH_UP, 100),
+            HSA_SELF: indexAmount(latestLimits.HSA_SELF),
+            HSA_FAMILY: indexAmount(latestLimits.HSA_FAMILY),
+            HSA_CATCH_UP: latestLimits.HSA_CATCH_UP
+        };
+        
+        // EITC amounts are indexed; child and dependent care amounts stay fixed
+        const latestEITC = latestTable.CREDITS.EITC;
+        const credits = {
+            ...latestTable.CREDITS,
+            EITC: {
+                MAX_CREDIT: latestEITC.MAX_CREDIT.map(amount => indexAmount(amount, 1)),
+                EARNED_INCOME_AMOUNT: latestEITC.EARNED_INCOME_AMOUNT.map(amount => indexAmount(amount, 10)),
+                PHASE_OUT_START: latestEITC.PHASE_OUT_START.map(amount => indexAmount(amount, 10)),
+                PHASE_OUT_START_JOINT: latestEITC.PHASE_OUT_START_JOINT.map(amount => indexAmount(amount, 10)),
+                PHASE_OUT_RATE: latestEITC.PHASE_OUT_RATE
+            }
+        };
+        
+        const qbiThresholds = {};
+        Object.entries(latestTable.QBI.THRESHOLDS).forEach(([status, amount]) => {
+            qbiThresholds[status] = indexAmount(amount);
+        });
+        
+        return {
+            BRACKETS: indexBrackets(latestTable.BRACKETS),
+            STANDARD_DEDUCTIONS: standardDeductions,
+            CAPITAL_GAINS_BRACKETS: indexBrackets(latestTable.CAPITAL_GAINS_BRACKETS),
+            QBI: {
+                THRESHOLDS: qbiThresholds,
+                PHASE_IN_RANGES: latestTable.QBI.PHASE_IN_RANGES
+            },
+            CREDITS: credits,
+            SOCIAL_SECURITY_WAGE_BASE: indexAmount(latestTable.SOCIAL_SECURITY_WAGE_BASE),
+            CONTRIBUTION_LIMITS: contributionLimits
+        };
+    }
+    
+    /**
+     * Determine the deduction to apply: itemized if larger than standard
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} itemizedDeductions - Total itemized deductions (0 if none)
+     * @param {number} taxYear - Tax year
+     * @returns {number} Deduction amount
+     */
+    static calculateDeduction(filingStatus, itemizedDeductions = 0, taxYear = this.getDefaultTaxYear()) {
+        const standardDeduction = this.getTaxTable(taxYear).STANDARD_DEDUCTIONS[filingStatus] || 0;
+        return Math.max(standardDeduction, itemizedDeductions || 0);
+    }
+    
+    /**
+     * Calculate federal taxable income after deductions
+     * @param {number} income - Annual gross income
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} itemizedDeductions - Total itemized deductions (0 if none)
+     * @param {number} taxYear - Tax year
+     * @returns {number} Taxable income (never negative)
+     */
+    static calculateTaxableIncome(income, filingStatus, itemizedDeductions = 0, taxYear = this.getDefaultTaxYear()) {
+        const deduction = this.calculateDeduction(filingStatus, itemizedDeductions, taxYear);
+        return Math.max(0, income - deduction);
+    }
+    
+    /**
+     * Calculate federal tax using the brackets for a tax year
+     * @param {number} income - Annual taxable income (after deductions)
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} taxYear - Tax year
+     * @returns {number} Federal tax amount
+     */
+    static calculateFederalTax(income, filingStatus, taxYear = this.getDefaultTaxYear()) {
+        return this.calculateFederalTaxBreakdown(income, filingStatus, taxYear).totalTax;
+    }
+    
+    /**
+     * Calculate federal tax with a per-bracket breakdown
+     * @param {number} income - Annual taxable income (after deductions)
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} taxYear - Tax year
+     * @returns {Object} Bracket slices, total tax, marginal and effective rates
+     */
+    static calculateFederalTaxBreakdown(income, filingStatus, taxYear = this.getDefaultTaxYear()) {
+        const brackets = this.getTaxTable(taxYear).BRACKETS[filingStatus];
+        
+        // Validate inputs
+        if (!brackets) {
+            return { brackets: [], totalTax: 0, marginalRate: 0, effectiveRate: 0 };
         }
         
-        // Cross-field validation
-        if (inputs.stateIncomeTax > inputs.preTaxIncome) {
-            errors.stateIncomeTax = 'State tax cannot exceed income';
+        const taxableIncome = Math.max(0, income);
+        let previousThreshold = 0;
+        // No taxable income (deductions cover it all) means a 0% marginal rate
+        let marginalRate = 0;
+        
+        // Every bracket is listed so the chart and table always show the full schedule
+        const slices = brackets.map(bracket => {
+            const taxableAmount = Math.max(0, Math.min(taxableIncome, bracket.threshold) - previousThreshold);
+            const slice = {
+                rate: bracket.rate,
+                lowerBound: previousThreshold,
+                upperBound: bracket.threshold,
+                taxableAmount,
+                tax: taxableAmount * bracket.rate
+            };
+            
+            if (taxableIncome > previousThreshold) {
+                marginalRate = bracket.rate;
+            }
+            previousThreshold = bracket.threshold;
+            return slice;
+        });
+        
+        const totalTax = slices.reduce((sum, slice) => sum + slice.tax, 0);
+        
+        return {
+            brackets: slices.map(slice => ({ ...slice, tax: Math.round(slice.tax) })),
+            totalTax: Math.round(totalTax),
+            marginalRate,
+            effectiveRate: this.calculateEffectiveRate(totalTax, taxableIncome)
+        };
+    }
+    
+    /**
+     * Apply a progressive bracket schedule to an amount of taxable income
+     * @param {number} income - Taxable income
+     * @param {Array} brackets - Brackets ordered by ascending threshold
+     * @returns {number} Unrounded tax amount
+     */
+    static applyBrackets(income, brackets) {
+        let totalTax = 0;
+        let previousThreshold = 0;
+        
+        // Calculate tax for each bracket
+        for (const bracket of brackets) {
+            if (income <= previousThreshold) break;
+            
+            const taxableInThisBracket = Math.min(income, bracket.threshold) - previousThreshold;
+            totalTax += taxableInThisBracket * bracket.rate;
+            previousThreshold = bracket.threshold;
         }
         
-        return errors;
+        return totalTax;
     }
     
     /**
-     * Display validation errors on form
-     * @param {Object} errors - Validation errors
-     * @param {string} formId - Form element ID
-     * @returns {boolean} True if no errors
+     * Calculate state income tax from the bundled state tables
+     * @param {number} income - Annual gross income
+     * @param {string} stateCode - Two-letter state code
+     * @param {string} filingStatus - Tax filing status
+     * @returns {number} State tax amount (0 for unknown or no-tax states)
      */
-    static displayErrors(errors, formId) {
-        // Clear all previous errors
-        const form = document.getElementById(formId);
-        if (!form) return false;
+    static calculateStateTax(income, stateCode, filingStatus) {
+        const stateTable = APP_CONFIG.STATE_TAXES[stateCode];
+        if (income <= 0 || !stateTable) {
+            return 0;
+        }
         
-        // Reset error states
-        form.querySelectorAll('.form-error').forEach(el => {
-            el.textContent = '';
-        });
+        // Only joint filers use the married columns
+        const isJoint = filingStatus === 'marriedJointly';
+        const deduction = stateTable.deduction 
+            ? stateTable.deduction[isJoint ? 'married' : 'single'] 
+            : 0;
+        const brackets = isJoint && stateTable.marriedBrackets 
+            ? stateTable.marriedBrackets 
+            : stateTable.brackets;
+        
+        const taxableIncome = Math.max(0, income - deduction);
+        return Math.round(this.applyBrackets(taxableIncome, brackets));
+    }
+    
+    /**
+     * Calculate employee payroll taxes (Social Security and Medicare)
+     * @param {number} wages - Annual W-2 wages
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} taxYear - Tax year
+     * @returns {Object} Social Security, Medicare, Additional Medicare and total
+     */
+    static calculatePayrollTax(wages, filingStatus, taxYear = this.getDefaultTaxYear()) {
+        const payroll = APP_CONFIG.PAYROLL_TAX;
+        const wageBase = this.getTaxTable(taxYear).SOCIAL_SECURITY_WAGE_BASE;
         
-        form.querySelectorAll('.form-input, .form-select').forEach(el => {
-            el.classList.remove('error');
+        if (wages <= 0) {
+            return { socialSecurity: 0, medicare: 0, additionalMedicare: 0, total: 0 };
+        }
+        
+        // Social Security stops at the wage base; Medicare has no cap
+        const socialSecurity = Math.min(wages, wageBase) * 
+            payroll.SOCIAL_SECURITY_RATE;
+        const medicare = wages * payroll.MEDICARE_RATE;
+        
+        // Additional Medicare applies only above the filing status threshold
+        const threshold = payroll.ADDITIONAL_MEDICARE_THRESHOLDS[filingStatus] || 
+            payroll.ADDITIONAL_MEDICARE_THRESHOLDS.single;
+        const additionalMedicare = Math.max(0, wages - threshold) * payroll.ADDITIONAL_MEDICARE_RATE;
+        
+        return {
+            socialSecurity: Math.round(socialSecurity),
+            medicare: Math.round(medicare),
+            additionalMedicare: Math.round(additionalMedicare),
+            total: Math.round(socialSecurity + medicare + additionalMedicare)
+        };
+    }
+    
+    /**
+     * Calculate payroll tax for a two-earner household
+     * Each earner has their own Social Security wage base; on a joint return the
+     * Additional Medicare threshold applies to the couple's combined wages.
+     * @param {Array} wagesByEarner - Annual wages subject to payroll tax for each earner
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} taxYear - Tax year
+     * @returns {Object} Payroll tax by earner and total
+     */
+    static calculateHouseholdPayrollTax(wagesByEarner, filingStatus, taxYear = this.getDefaultTaxYear()) {
+        const totalWages = wagesByEarner.reduce((sum, wages) => sum + wages, 0);
+        const additionalMedicare = this.calculatePayrollTax(totalWages, filingStatus, taxYear).additionalMedicare;
+        
+        // Additional Medicare is shared in proportion to wages
+        const byEarner = wagesByEarner.map(wages => {
+            const payroll = this.calculatePayrollTax(wages, filingStatus, taxYear);
+            const additionalShare = totalWages > 0 ? additionalMedicare * wages / totalWages : 0;
+            return Math.round(payroll.socialSecurity + payroll.medicare + additionalShare);
         });
         
-        // Display new errors
-        Object.entries(errors).forEach(([fieldName, errorMessage]) => {
-            const errorElement = document.getElementById(`${fieldName}-error`);
-            const inputElement = document.getElementById(fieldName);
+        return {
+            byEarner,
+            total: byEarner.reduce((sum, tax) => sum + tax, 0)
+        };
+    }
+    
+    /**
+     * Calculate self-employment tax on 1099 net profit
+     * Social Security room is shared with W-2 wages, and the Additional
+     * Medicare threshold applies to wages and self-employment earnings combined.
+     * @param {number} netProfit - Annual self-employment net profit
+     * @param {number} wages - Annual W-2 wages subject to payroll tax
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} taxYear - Tax year
+     * @returns {Object} SE tax components, total and deductible half
+     */
+    static calculateSelfEmploymentTax(netProfit, wages, filingStatus, taxYear = this.getDefaultTaxYear()) {
+        const se = APP_CONFIG.SELF_EMPLOYMENT;
+        const payroll = APP_CONFIG.PAYROLL_TAX;
+        
+        if (netProfit <= 0) {
+            return { socialSecurity: 0, medicare: 0, additionalMedicare: 0, total: 0, deductibleHalf: 0 };
+        }
+        
+        const netEarnings = netProfit * se.NET_EARNINGS_FACTOR;
+        const wageBase = this.getTaxTable(taxYear).SOCIAL_SECURITY_WAGE_BASE;
+        const remainingWageBase = Math.max(0, wageBase - Math.max(0, wages));
+        
+        const socialSecurity = Math.min(netEarnings, remainingWageBase) * se.SOCIAL_SECURITY_RATE;
+        const medicare = netEarnings * se.MEDICARE_RATE;
+        
+        // Only the Additional Medicare not already charged on wages belongs to SE tax
+        const threshold = payroll.ADDITIONAL_MEDICARE_THRESHOLDS[filingStatus] || 
+            payroll.ADDITIONAL_MEDICARE_THRESHOLDS.single;
+        const additionalMedicare = 
+            (Math.max(0, wages + netEarnings - threshold) - Math.max(0, wages - threshold)) * 
+            payroll.ADDITIONAL_MEDICARE_RATE;
+        
+        // Additional Medicare is not part of the deductible half
+        const deductibleHalf = (socialSecurity + medicare) * se.DEDUCTIBLE_SHARE;
+        
+        return {
+            socialSecurity: Math.round(socialSecurity),
+            medicare: Math.round(medicare),
+            additionalMedicare: Math.round(additionalMedicare),
+            total: Math.round(socialSecurity + medicare + additionalMedicare),
+            deductibleHalf: Math.round(deductibleHalf)
+        };
+    }
+    
+    /**
+     * Calculate the qualified business income (QBI) deduction
+     * Assumes a business with no W-2 payroll or qualified property, so the
+     * deduction phases out entirely across the phase-in range above the threshold.
+     * @param {number} qualifiedIncome - Qualified business income
+     * @param {number} taxableIncomeBeforeQBI - Taxable income before the QBI deduction
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} taxYear - Tax year
+     * @returns {number} QBI deduction amount
+     */
+    static calculateQBIDeduction(qualifiedIncome, taxableIncomeBeforeQBI, filingStatus, taxYear = this.getDefaultTaxYear()) {
+        const qbi = this.getTaxTable(taxYear).QBI;
+        const threshold = qbi.THRESHOLDS[filingStatus];
+        const phaseInRange = qbi.PHASE_IN_RANGES[filingStatus];
+        
+        if (qualifiedIncome <= 0 || taxableIncomeBeforeQBI <= 0 || !threshold) {
+            return 0;
+        }
+        
+        const rate = APP_CONFIG.SELF_EMPLOYMENT.QBI_RATE;
+        const tentativeDeduction = qualifiedIncome * rate;
+        
+        // Reduce proportionally through the phase-in range
+        const excess = Math.max(0, taxableIncomeBeforeQBI - threshold);
+        const phaseOutFactor = Math.max(0, 1 - excess / phaseInRange);
+        
+        // Overall limit: 20% of taxable income before the deduction
+        return Math.round(Math.min(tentativeDeduction * phaseOutFactor, taxableIncomeBeforeQBI * rate));
+    }
+    
+    /**
+     * Calculate child tax, child and dependent care, and earned income credits
+     * Non-refundable credits can only reduce tax to zero; the refundable part of
+     * the child tax credit and the EITC can reduce it below zero (a refund).
+     * @param {number} taxBeforeCredits - Federal income tax from the brackets
+     * @param {number} adjustedGrossIncome - AGI (used as MAGI for phase-outs)
+     * @param {number} earnedIncome - Wages plus net self-employment earnings
+     * @param {number} children - Number of qualifying children under 17
+     * @param {number} childCareExpenses - Annual child and dependent care expenses
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} taxYear - Tax year
+     * @returns {Object} Each credit, refundable and non-refundable totals and the total
+     */
+    static calculateCredits(taxBeforeCredits, adjustedGrossIncome, earnedIncome, children, childCareExpenses, filingStatus, taxYear = this.getDefaultTaxYear()) {
+        const yearCredits = this.getTaxTable(taxYear).CREDITS;
+        const rules = APP_CONFIG.TAX_CREDITS;
+        const isJoint = filingStatus === 'marriedJointly';
+        const qualifyingChildren = Math.max(0, Math.floor(children || 0));
+        let remainingTax = Math.max(0, taxBeforeCredits);
+        
+        // Child and dependent care credit (not available when married filing separately)
+        let dependentCareCredit = 0;
+        if (qualifyingChildren > 0 && childCareExpenses > 0 && filingStatus !== 'marriedSeparately') {
+            const expenseLimit = qualifyingChildren === 1 
+                ? rules.DEPENDENT_CARE_EXPENSE_LIMIT_ONE 
+                : rules.DEPENDENT_CARE_EXPENSE_LIMIT_TWO_PLUS;
+            const eligibleExpenses = Math.min(childCareExpenses, expenseLimit, earnedIncome);
             
-            if (errorElement) {
-                errorElement.textContent = errorMessage;
-            }
+            // Each phase-down tier cuts one point per income step down to its floor
+            let rate = yearCredits.DEPENDENT_CARE.MAX_RATE;
+            yearCredits.DEPENDENT_CARE.PHASE_DOWNS.forEach(tier => {
+                const start = isJoint ? tier.START_JOINT : tier.START;
+                const step = isJoint ? tier.STEP_JOINT : tier.STEP;
+                if (adjustedGrossIncome > start) {
+                    const reduction = Math.ceil((adjustedGrossIncome - start) / step) * 0.01;
+                    rate = Math.max(tier.FLOOR, rate - reduction);
+                }
+            });
             
-            if (inputElement) {
-                inputElement.classList.add('error');
+            dependentCareCredit = Math.min(remainingTax, eligibleExpenses * rate);
+            remainingTax -= dependentCareCredit;
+        }
+        
+        // Child tax credit with MAGI phase-out
+        const phaseOutThreshold = rules.CHILD_TAX_CREDIT_PHASEOUT[filingStatus] || 
+            rules.CHILD_TAX_CREDIT_PHASEOUT.single;
+        const phaseOutSteps = Math.ceil(
+            Math.max(0, adjustedGrossIncome - phaseOutThreshold) / rules.CHILD_TAX_CREDIT_PHASEOUT_STEP
+        );
+        const childTaxCreditAllowed = Math.max(0, 
+            qualifyingChildren * yearCredits.CHILD_TAX_CREDIT - 
+            phaseOutSteps * rules.CHILD_TAX_CREDIT_PHASEOUT_AMOUNT);
+        const childTaxCreditNonRefundable = Math.min(remainingTax, childTaxCreditAllowed);
+        remainingTax -= childTaxCreditNonRefundable;
+        
+        // Unused child tax credit is refundable up to the per-child cap and earned income test
+        const additionalChildTaxCredit = Math.min(
+            childTaxCreditAllowed - childTaxCreditNonRefundable,
+            qualifyingChildren * yearCredits.CHILD_TAX_CREDIT_REFUNDABLE,
+            Math.max(0, earnedIncome - rules.REFUNDABLE_EARNED_INCOME_FLOOR) * rules.REFUNDABLE_EARNED_INCOME_RATE
+        );
+        
+        // Earned income credit: phase in on earnings, phase out on the greater of AGI or earnings
+        let earnedIncomeCredit = 0;
+        if (filingStatus !== 'marriedSeparately' && earnedIncome > 0) {
+            const eitc = yearCredits.EITC;
+            const column = Math.min(qualifyingChildren, eitc.MAX_CREDIT.length - 1);
+            const phaseInRate = eitc.MAX_CREDIT[column] / eitc.EARNED_INCOME_AMOUNT[column];
+            const phaseOutStart = isJoint ? eitc.PHASE_OUT_START_JOINT[column] : eitc.PHASE_OUT_START[column];
+            const phaseOutIncome = Math.max(adjustedGrossIncome, earnedIncome);
+            
+            const phasedIn = Math.min(eitc.MAX_CREDIT[column], earnedIncome * phaseInRate);
+            const phaseOut = Math.max(0, phaseOutIncome - phaseOutStart) * eitc.PHASE_OUT_RATE[column];
+            earnedIncomeCredit = Math.max(0, Math.min(phasedIn, eitc.MAX_CREDIT[column] - phaseOut));
+        }
+        
+        const nonRefundable = dependentCareCredit + childTaxCreditNonRefundable;
+        const refundable = additionalChildTaxCredit + earnedIncomeCredit;
+        
+        return {
+            childTaxCredit: Math.round(childTaxCreditNonRefundable + additionalChildTaxCredit),
+            dependentCareCredit: Math.round(dependentCareCredit),
+            earnedIncomeCredit: Math.round(earnedIncomeCredit),
+            nonRefundable: Math.round(nonRefundable),
+            refundable: Math.round(refundable),
+            total: Math.round(nonRefundable + refundable)
+        };
+    }
+    
+    /**
+     * Split an annual estimated tax amount into quarterly payments
+     * @param {number} federalAmount - Annual federal estimated tax
+     * @param {number} stateAmount - Annual state estimated tax
+     * @param {number} taxYear - Tax year
+     * @returns {Array<Object>} Quarterly payments with due dates
+     */
+    static calculateEstimatedPayments(federalAmount, stateAmount, taxYear = this.getDefaultTaxYear()) {
+        return APP_CONFIG.ESTIMATED_TAX_DUE_DATES.map(quarter => ({
+            label: quarter.label,
+            dueDate: `${quarter.month} ${quarter.day}, ${taxYear + quarter.yearOffset}`,
+            federal: Math.round(Math.max(0, federalAmount) / 4),
+            state: Math.round(Math.max(0, stateAmount) / 4)
+        }));
+    }
+    
+    /**
+     * Calculate long-term capital gains tax and Net Investment Income Tax
+     * Gains are stacked on top of ordinary taxable income, so they fill the
+     * 0%, 15% and 20% brackets only where ordinary income leaves room.
+     * @param {number} gains - Long-term capital gains realized in the year
+     * @param {number} ordinaryTaxableIncome - Taxable ordinary income for the year
+     * @param {number} modifiedAGI - Income for the NIIT test, excluding the gains
+     * @param {string} filingStatus - Tax filing status
+     * @param {number} taxYear - Tax year
+     * @returns {Object} Capital gains tax, NIIT, total and effective rate on the gains
+     */
+    static calculateCapitalGainsTax(gains, ordinaryTaxableIncome, modifiedAGI, filingStatus, taxYear = this.getDefaultTaxYear()) {
+        const brackets = this.getTaxTable(taxYear).CAPITAL_GAINS_BRACKETS[filingStatus];
+        
+        if (gains <= 0 || !brackets) {
+            return { capitalGainsTax: 0, niit: 0, total: 0, effectiveRate: 0 };
+        }
+        
+        // Tax the slice of each bracket that the stacked gains occupy
+        const stackStart = Math.max(0, ordinaryTaxableIncome);
+        const stackEnd = stackStart + gains;
+        let capitalGainsTax = 0;
+        let previousThreshold = 0;
+        
+        for (const bracket of brackets) {
+            const sliceStart = Math.max(stackStart, previousThreshold);
+            const sliceEnd = Math.min(stackEnd, bracket.threshold);
+            if (sliceEnd > sliceStart) {
+                capitalGainsTax += (sliceEnd - sliceStart) * bracket.rate;
             }
-        });
+            previousThreshold = bracket.threshold;
+        }
         
-        return Object.keys(errors).length === 0;
+        // NIIT applies to the lesser of the gains or MAGI above the threshold
+        const niitThreshold = APP_CONFIG.NIIT.THRESHOLDS[filingStatus];
+        const niitBase = Math.min(gains, Math.max(0, modifiedAGI + gains - niitThreshold));
+        const niit = niitBase * APP_CONFIG.NIIT.RATE;
+        
+        const total = capitalGainsTax + niit;
+        
+        return {
+            capitalGainsTax: Math.round(capitalGainsTax),
+            niit: Math.round(niit),
+            total: Math.round(total),
+            effectiveRate: total / gains
+        };
     }
-}
-
-// ============================================
-// 6. CHART MANAGEMENT MODULE
-// Chart.js configuration and management
-// ============================================
-class ChartManager {
+    
     /**
-     * Check if device is mobile
-     * @returns {boolean} True if mobile device
+     * Calculate the federally taxable part of Social Security benefits
+     * Uses the provisional income test: other income plus half of benefits,
+     * compared with the filing status thresholds.
+     * @param {number} benefits - Social Security benefits for the year
+     * @param {number} otherIncome - Other income counted toward provisional income
+     * @param {string} filingStatus - Tax filing status
+     * @returns {number} Taxable benefits
      */
-    static isMobile() {
-        return window.innerWidth <= 768;
+    static calculateTaxableSocialSecurity(benefits, otherIncome, filingStatus) {
+        if (benefits <= 0) {
+            return 0;
+        }
+        
+        const settings = APP_CONFIG.INCOME_STREAMS.SOCIAL_SECURITY_TAX;
+        const thresholds = settings.THRESHOLDS[filingStatus] || settings.THRESHOLDS.single;
+        const provisionalIncome = otherIncome + benefits * settings.BASE_SHARE;
+        
+        if (provisionalIncome <= thresholds.base) {
+            return 0;
+        }
+        const baseAmount = Math.min(
+            benefits * settings.BASE_SHARE, 
+            (Math.min(provisionalIncome, thresholds.adjusted) - thresholds.base) * settings.BASE_SHARE
+        );
+        if (provisionalIncome <= thresholds.adjusted) {
+            return baseAmount;
+        }
+        return Math.min(
+            benefits * settings.MAX_SHARE, 
+            baseAmount + (provisionalIncome - thresholds.adjusted) * settings.MAX_SHARE
+        );
     }
     
     /**
-     * Get responsive chart configuration
-     * @returns {Object} Responsive chart config
+     * Calculate tax on a year of retirement withdrawals by account type
+     * Tax-deferred withdrawals are ordinary income, taxable account withdrawals
+     * are taxed only on their gains (long-term rates federally, ordinary rates
+     * by the state) and qualified Roth withdrawals are tax-free. Taxable pension
+     * income and the federally taxable part of Social Security stack with
+     * tax-deferred withdrawals as ordinary income, and the ordinary tax is shared
+     * between them pro rata. Social Security is left out of state income.
+     * @param {number} taxDeferredWithdrawal - Withdrawal from 401(k)/IRA/HSA accounts
+     * @param {number} realizedGains - Gains portion of taxable account withdrawals
+     * @param {string} filingStatus - Tax filing status
+     * @param {string} stateCode - Two-letter state code
+     * @param {number} taxYear - Tax year
+     * @param {number} streamIncome - Taxable part of pension income
+     * @param {number} socialSecurity - Social Security benefits
+     * @returns {Object} Tax attributable to each account type, income streams and the total
      */
-    static getResponsiveConfig() {
-        const isMobile = this.isMobile();
+    static calculateWithdrawalTaxes(taxDeferredWithdrawal, realizedGains, filingStatus, stateCode, taxYear = this.getDefaultTaxYear(), streamIncome = 0, socialSecurity = 0) {
+        const stateOrdinaryIncome = taxDeferredWithdrawal + streamIncome;
+        const taxableSocialSecurity = this.calculateTaxableSocialSecurity(
+            socialSecurity, 
+            stateOrdinaryIncome + realizedGains, 
+            filingStatus
+        );
+        const ordinaryIncome = stateOrdinaryIncome + taxableSocialSecurity;
+        const deduction = this.calculateDeduction(filingStatus, 0, taxYear);
+        const ordinaryTaxableIncome = Math.max(0, ordinaryIncome - deduction);
+        const federalOrdinaryTax = this.calculateFederalTax(ordinaryTaxableIncome, filingStatus, taxYear);
+        
+        // Any deduction not used by ordinary income shelters gains next
+        const unusedDeduction = Math.max(0, deduction - ordinaryIncome);
+        const gainsTax = this.calculateCapitalGainsTax(
+            Math.max(0, realizedGains - unusedDeduction), 
+            ordinaryTaxableIncome, 
+            ordinaryIncome, 
+            filingStatus, 
+            taxYear
+        ).total;
+        
+        const stateOrdinaryTax = this.calculateStateTax(stateOrdinaryIncome, stateCode, filingStatus);
+        const stateGainsTax = this.calculateStateTax(stateOrdinaryIncome + realizedGains, stateCode, filingStatus) - 
+            stateOrdinaryTax;
+        
+        const taxable = gainsTax + stateGainsTax;
+        const federalStreams = ordinaryIncome > 0 
+            ? federalOrdinaryTax * (streamIncome + taxableSocialSecurity) / ordinaryIncome 
+            : 0;
+        const stateStreams = stateOrdinaryIncome > 0 ? stateOrdinaryTax * streamIncome / stateOrdinaryIncome : 0;
+        const streams = federalStreams + stateStreams;
+        const taxDeferred = federalOrdinaryTax + stateOrdinaryTax - streams;
         
         return {
-            fontSize: isMobile ? 10 : 14,
-            titleSize: isMobile ? 14 : 18,
-            subtitleSize: isMobile ? 11 : 14,
-            lineWidth: isMobile ? 2 : 3,
-            gridLineWidth: isMobile ? 0.5 : 1,
-            pointRadius: 0,
-            pointHoverRadius: isMobile ? 4 : 6,
-            legendPadding: isMobile ? 10 : 20,
-            axisTitleSize: isMobile ? 11 : 12
+            taxable,
+            taxDeferred,
+            roth: 0,
+            streams,
+            total: taxable + taxDeferred + streams
         };
     }
     
     /**
-     * Get default chart options
-     * @returns {Object} Default chart configuration
+     * Get annual pre-tax contribution limits including catch-up amounts
+     * @param {number} age - Age at year end (catch-up ignored if unknown)
+     * @param {string} hsaCoverage - HSA coverage type ('self' or 'family')
+     * @param {number} taxYear - Tax year
+     * @returns {Object} Limits for 401(k), traditional IRA and HSA
      */
-    static getDefaultOptions() {
-        const config = this.getResponsiveConfig();
+    static getContributionLimits(age, hsaCoverage, taxYear = this.getDefaultTaxYear()) {
+        const limits = this.getTaxTable(taxYear).CONTRIBUTION_LIMITS;
+        const ages = APP_CONFIG.CATCH_UP_AGES;
+        const knownAge = Number.isFinite(age) ? age : 0;
+        
+        // Ages 60-63 get the higher 401(k) catch-up instead of the standard one
+        let catchUp401k = 0;
+        if (knownAge >= ages.SUPER_CATCH_UP_MIN && knownAge <= ages.SUPER_CATCH_UP_MAX) {
+            catchUp401k = limits.EMPLOYEE_401K_SUPER_CATCH_UP;
+        } else if (knownAge >= ages.RETIREMENT) {
+            catchUp401k = limits.EMPLOYEE_401K_CATCH_UP;
+        }
+        
+        const hsaBase = hsaCoverage === 'family' ? limits.HSA_FAMILY : limits.HSA_SELF;
         
         return {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    labels: {
-                        color: APP_CONFIG.CHART.DEFAULTS.fontColor,
-                        font: {
-                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
-                            size: config.fontSize
-                        },
-                        padding: config.legendPadding
-                    }
-                },
-                tooltip: {
-                    titleFont: {
-                        family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
-                        size: config.fontSize
-                    },
-                    bodyFont: {
-                        family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
-                        size: config.fontSize
+            contribution401k: limits.EMPLOYEE_401K + catchUp401k,
+            contributionIRA: limits.IRA + (knownAge >= ages.RETIREMENT ? limits.IRA_CATCH_UP : 0),
+            contributionHSA: hsaBase + (knownAge >= ages.HSA ? limits.HSA_CATCH_UP : 0)
+        };
+    }
+    
+    /**
+     * Get the partner's income, contributions and wealth in two-earner mode
+     * @param {Object} inputs - User input values
+     * @returns {Object|null} Partner inputs, or null for a single-earner household
+     */
+    static getPartner(inputs) {
+        return inputs.householdMode === 'twoEarner' && inputs.partner ? inputs.partner : null;
+    }
+    
+    /**
+     * Calculate all taxes on a year of household income
+     * Two-earner households file one joint return, or one return per partner when
+     * married filing separately. Children, itemized deductions, HSA, 1099 income and
+     * any state tax override stay on your return.
+     * @param {Object} inputs - User input values
+     * @returns {Object} Deduction, taxable income, tax components, total and each earner's share
+     */
+    static calculateTaxes(inputs) {
+        const partner = this.getPartner(inputs);
+        if (!partner || inputs.filingStatus !== 'marriedSeparately') {
+            return this.calculateReturnTaxes(inputs, partner);
+        }
+        
+        const primaryReturn = this.calculateReturnTaxes(inputs);
+        const partnerReturn = this.calculateReturnTaxes({
+            ...inputs,
+            ...partner,
+            selfEmploymentIncome: 0,
+            contributionHSA: 0,
+            itemizedDeductions: 0,
+            numberOfChildren: 0,
+            childCareExpenses: 0,
+            stateIncomeTax: inputs.stateIncomeTax === '' || inputs.stateIncomeTax === undefined ? '' : 0
+        });
+        
+        return {
+            ...this.combineReturns([primaryReturn, partnerReturn]),
+            earners: {
+                primary: this.getEarnerShare(primaryReturn.grossIncome, primaryReturn.totalTax),
+                partner: this.getEarnerShare(partnerReturn.grossIncome, partnerReturn.totalTax)
+            }
+        };
+    }
+    
+    /**
+     * Add up two separately filed returns
+     * Both returns use the same bracket schedule, so bracket slices add up directly.
+     * @param {Array} returns - Results of calculateReturnTaxes()
+     * @returns {Object} Combined deduction, taxable income, tax components and total
+     */
+    static combineReturns(returns) {
+        const sum = (getValue) => returns.reduce((total, taxReturn) => total + getValue(taxReturn), 0);
+        const combined = {};
+        
+        ['grossIncome', 'adjustedGrossIncome', 'deduction', 'qbiDeduction', 'taxableIncome', 
+            'federalTaxBeforeCredits', 'federalTax', 'payrollTax', 'selfEmploymentTax', 
+            'stateIncomeTax', 'totalTax'].forEach(key => {
+            combined[key] = sum(taxReturn => taxReturn[key]);
+        });
+        
+        combined.credits = {};
+        Object.keys(returns[0].credits).forEach(key => {
+            combined.credits[key] = sum(taxReturn => taxReturn.credits[key]);
+        });
+        
+        const totalBracketTax = sum(taxReturn => taxReturn.federalBreakdown.totalTax);
+        combined.federalBreakdown = {
+            brackets: returns[0].federalBreakdown.brackets.map((slice, index) => ({
+                ...slice,
+                taxableAmount: sum(taxReturn => taxReturn.federalBreakdown.brackets[index].taxableAmount),
+                tax: sum(taxReturn => taxReturn.federalBreakdown.brackets[index].tax)
+            })),
+            totalTax: totalBracketTax,
+            marginalRate: Math.max(...returns.map(taxReturn => taxReturn.federalBreakdown.marginalRate)),
+            effectiveRate: this.calculateEffectiveRate(totalBracketTax, combined.taxableIncome)
+        };
+        
+        return combined;
+    }
+    
+    /**
+     * Summarize one earner's share of household income and tax
+     * @param {number} grossIncome - Earner's gross income
+     * @param {number} totalTax - Tax attributed to the earner
+     * @returns {Object} Gross income, total tax and after-tax income
+     */
+    static getEarnerShare(grossIncome, totalTax) {
+        return {
+            grossIncome,
+            totalTax: Math.round(totalTax),
+            afterTaxIncome: Math.round(grossIncome - totalTax)
+        };
+    }
+    
+    /**
+     * Calculate all taxes on one return's wages and self-employment income
+     * 401(k) and HSA contributions are treated as payroll deductions (HSA also
+     * skips payroll tax); traditional IRA contributions are assumed deductible.
+     * Self-employment income adds SE tax and may qualify for the QBI deduction.
+     * Tax credits are subtracted from the bracket-based federal tax.
+     * @param {Object} inputs - User input values
+     * @param {Object} partner - Partner's wages and contributions on a joint return (null if none)
+     * @returns {Object} Deduction, taxable income, tax components and total
+     */
+    static calculateReturnTaxes(inputs, partner = null) {
+        const wages = inputs.preTaxIncome || 0;
+        const selfEmploymentIncome = inputs.selfEmploymentIncome || 0;
+        const contribution401k = inputs.contribution401k || 0;
+        const contributionIRA = inputs.contributionIRA || 0;
+        const contributionHSA = inputs.contributionHSA || 0;
+        const partnerWages = partner ? partner.preTaxIncome || 0 : 0;
+        const partnerContributions = partner 
+            ? (partner.contribution401k || 0) + (partner.contributionIRA || 0) 
+            : 0;
+        
+        // Each partner pays payroll tax on their own wages up to their own wage base
+        const payrollWages = Math.max(0, wages - contributionHSA);
+        const payroll = partner 
+            ? this.calculateHouseholdPayrollTax([payrollWages, partnerWages], inputs.filingStatus, inputs.taxYear) 
+            : this.calculatePayrollTax(payrollWages, inputs.filingStatus, inputs.taxYear);
+        const payrollTax = payroll.total;
+        const selfEmploymentTax = this.calculateSelfEmploymentTax(
+            selfEmploymentIncome, 
+            payrollWages, 
+            inputs.filingStatus, 
+            inputs.taxYear
+        );
+        
+        // Adjusted gross income after pre-tax contributions and half of SE tax
+        const primaryAGI = Math.max(0, 
+            wages + selfEmploymentIncome - 
+            contribution401k - contributionIRA - contributionHSA - 
+            selfEmploymentTax.deductibleHalf);
+        const partnerAGI = Math.max(0, partnerWages - partnerContributions);
+        const adjustedGrossIncome = primaryAGI + partnerAGI;
+        
+        const deduction = this.calculateDeduction(
+            inputs.filingStatus, 
+            inputs.itemizedDeductions, 
+            inputs.taxYear
+        );
+        const taxableIncomeBeforeQBI = this.calculateTaxableIncome(
+            adjustedGrossIncome, 
+            inputs.filingStatus, 
+            inputs.itemizedDeductions, 
+            inputs.taxYear
+        );
+        const qbiDeduction = this.calculateQBIDeduction(
+            selfEmploymentIncome - selfEmploymentTax.deductibleHalf, 
+            taxableIncomeBeforeQBI, 
+            inputs.filingStatus, 
+            inputs.taxYear
+        );
+        const taxableIncome = Math.max(0, taxableIncomeBeforeQBI - qbiDeduction);
+        
+        const federalBreakdown = this.calculateFederalTaxBreakdown(
+            taxableIncome, 
+            inputs.filingStatus, 
+            inputs.taxYear
+        );
+        
+        // Credits apply after the bracket math; refundable credits can push this below zero
+        const credits = this.calculateCredits(
+            federalBreakdown.totalTax, 
+            adjustedGrossIncome, 
+            wages + partnerWages + selfEmploymentIncome - selfEmploymentTax.deductibleHalf, 
+            inputs.numberOfChildren, 
+            inputs.childCareExpenses, 
+            inputs.filingStatus, 
+            inputs.taxYear
+        );
+        const federalTax = federalBreakdown.totalTax - credits.total;
+        
+        // Manual state tax override wins over the state table estimate
+        const stateIncomeTax = inputs.stateIncomeTax !== '' && inputs.stateIncomeTax !== undefined 
+            ? inputs.stateIncomeTax 
+            : this.calculateStateTax(
+                adjustedGrossIncome, 
+                inputs.stateOfResidence, 
+                inputs.filingStatus
+            );
+        
+        // On a joint return, income tax is shared in proportion to each partner's AGI
+        const totalTax = federalTax + payrollTax + selfEmploymentTax.total + stateIncomeTax;
+        let earners = null;
+        if (partner) {
+            const partnerIncomeTax = adjustedGrossIncome > 0 
+                ? (federalTax + stateIncomeTax) * partnerAGI / adjustedGrossIncome 
+                : 0;
+            const partnerTax = partnerIncomeTax + payroll.byEarner[1];
+            earners = {
+                primary: this.getEarnerShare(wages + selfEmploymentIncome, totalTax - partnerTax),
+                partner: this.getEarnerShare(partnerWages, partnerTax)
+            };
+        }
+        
+        return {
+            grossIncome: wages + partnerWages + selfEmploymentIncome,
+            adjustedGrossIncome,
+            deduction,
+            qbiDeduction,
+            taxableIncome,
+            federalTaxBeforeCredits: federalBreakdown.totalTax,
+            credits,
+            federalTax,
+            federalBreakdown,
+            payrollTax,
+            selfEmploymentTax: selfEmploymentTax.total,
+            stateIncomeTax,
+            totalTax,
+            earners
+        };
+    }
+    
+    /**
+     * Calculate effective tax rate
+     * @param {number} tax - Total tax amount
+     * @param {number} income - Total income
+     * @returns {number} Effective tax rate as decimal
+     */
+    static calculateEffectiveRate(tax, income) {
+        if (income <= 0) return 0;
+        return tax / income;
+    }
+}
+
+// ============================================
+// 5. FORM VALIDATION MODULE
+// Input validation and error handling
+// ============================================
+class FormValidator {
+    /**
+     * Validate calculator form inputs
+     * @param {Object} inputs - Form input values
+     * @returns {Object} Validation errors object
+     */
+    static validateCalculatorForm(inputs) {
+        const errors = {};
+        
+        // Validate gross income (W-2 wages, self-employment income or both, plus a partner's wages)
+        const partner = TaxCalculator.getPartner(inputs);
+        const totalIncome = (inputs.preTaxIncome || 0) + (inputs.selfEmploymentIncome || 0) + 
+            (partner ? partner.preTaxIncome || 0 : 0);
+        if (totalIncome <= 0) {
+            errors.preTaxIncome = 'Please enter a valid income amount';
+        }
+        
+        if (inputs.selfEmploymentIncome < 0) {
+            errors.selfEmploymentIncome = 'Self-employment income cannot be negative';
+        }
+        
+        // Validate wealth account
+        if (inputs.wealthAccount === null || 
+            inputs.wealthAccount === undefined || 
+            inputs.wealthAccount === '') {
+            errors.wealthAccount = 'Please enter your wealth account amount (enter $0 if none)';
+        } else if (inputs.wealthAccount < 0) {
+            errors.wealthAccount = 'Wealth account cannot be negative';
+        }
+        
+        // Validate the tax-deferred and Roth share of the asset base
+        if (inputs.wealthTaxDeferred < 0) {
+            errors.wealthTaxDeferred = 'Tax-deferred balance cannot be negative';
+        }
+        
+        if (inputs.wealthRoth < 0) {
+            errors.wealthRoth = 'Roth balance cannot be negative';
+        }
+        
+        // Validate state tax
+        if (inputs.stateIncomeTax < 0) {
+            errors.stateIncomeTax = 'State tax cannot be negative';
+        }
+        
+        // Validate itemized deductions
+        if (inputs.itemizedDeductions < 0) {
+            errors.itemizedDeductions = 'Itemized deductions cannot be negative';
+        }
+        
+        // Validate age (optional, used for catch-up limits)
+        if (inputs.age !== '' && (inputs.age < 18 || inputs.age > 100)) {
+            errors.age = 'Please enter an age between 18 and 100';
+        }
+        
+        // Validate pre-tax contributions against annual limits
+        const limits = TaxCalculator.getContributionLimits(
+            inputs.age === '' ? NaN : inputs.age, 
+            inputs.hsaCoverage, 
+            inputs.taxYear
+        );
+        const contributionLabels = {
+            contribution401k: '401(k)',
+            contributionIRA: 'Traditional IRA',
+            contributionHSA: 'HSA'
+        };
+        Object.entries(contributionLabels).forEach(([field, label]) => {
+            if (inputs[field] < 0) {
+                errors[field] = `${label} contributions cannot be negative`;
+            } else if (inputs[field] > limits[field]) {
+                errors[field] = `${label} contributions cannot exceed the ${UtilityFunctions.formatCurrency(limits[field])} annual limit`;
+            }
+        });
+        
+        // Roth 401(k) and Roth IRA contributions share the 401(k) and IRA limits
+        const rothLimit = Math.max(0, 
+            (limits.contribution401k - (inputs.contribution401k || 0)) + 
+            (limits.contributionIRA - (inputs.contributionIRA || 0)));
+        if (inputs.contributionRoth < 0) {
+            errors.contributionRoth = 'Roth contributions cannot be negative';
+        } else if (inputs.contributionRoth > rothLimit) {
+            errors.contributionRoth = `Roth contributions cannot exceed the ${UtilityFunctions.formatCurrency(rothLimit)} left under your 401(k) and IRA limits`;
+        }
+        
+        // Validate dependents
+        if (!Number.isInteger(inputs.numberOfChildren) || 
+            inputs.numberOfChildren < 0 || inputs.numberOfChildren > 10) {
+            errors.numberOfChildren = 'Please enter between 0 and 10 children';
+        }
+        
+        if (inputs.childCareExpenses < 0) {
+            errors.childCareExpenses = 'Child care expenses cannot be negative';
+        }
+        
+        // Validate inflation assumption
+        if (!Number.isFinite(inputs.inflationRate) || 
+            inputs.inflationRate < 0 || inputs.inflationRate > 0.15) {
+            errors.inflationRate = 'Please enter an inflation rate between 0% and 15%';
+        }
+        
+        // Validate projection horizon
+        const { MIN_PROJECTION_YEARS, MAX_PROJECTION_YEARS } = APP_CONFIG.FINANCIAL;
+        if (!Number.isInteger(inputs.projectionYears) || 
+            inputs.projectionYears < MIN_PROJECTION_YEARS || inputs.projectionYears > MAX_PROJECTION_YEARS) {
+            errors.projectionYears = 
+                `Please enter a whole number of years between ${MIN_PROJECTION_YEARS} and ${MAX_PROJECTION_YEARS}`;
+        }
+        
+        // Validate contribution schedule
+        if (!APP_CONFIG.COMPOUNDING.FREQUENCIES[inputs.contributionFrequency]) {
+            errors.contributionFrequency = 'Please select how often you contribute';
+        }
+        if (!APP_CONFIG.COMPOUNDING.TIMINGS.includes(inputs.contributionTiming)) {
+            errors.contributionTiming = 'Please select when contributions are made';
+        }
+        
+        // Validate debts (first problem found is reported)
+        const debtError = (inputs.debts || []).map(debt => {
+            if (!(debt.balance > 0)) {
+                return `${debt.name}: please enter the balance owed`;
+            }
+            if (!Number.isFinite(debt.apr) || debt.apr < 0 || debt.apr > 1) {
+                return `${debt.name}: please enter an APR between 0% and 100%`;
+            }
+            if (!(debt.minimumPayment > debt.balance * debt.apr / 12)) {
+                return `${debt.name}: the minimum payment must be more than the monthly interest`;
+            }
+            return null;
+        }).find(Boolean);
+        if (debtError) {
+            errors.debts = debtError;
+        } else if ((inputs.debts || []).length > APP_CONFIG.DEBTS.MAX_DEBTS) {
+            errors.debts = `Please enter no more than ${APP_CONFIG.DEBTS.MAX_DEBTS} debts`;
+        }
+        
+        if (!APP_CONFIG.DEBTS.STRATEGIES[inputs.debtStrategy]) {
+            errors.debtStrategy = 'Please select a payoff strategy';
+        }
+        
+        if (inputs.extraDebtPayment < 0) {
+            errors.extraDebtPayment = 'Extra debt payment cannot be negative';
+        }
+        
+        // Validate asset allocation and glide path
+        if (!APP_CONFIG.ALLOCATION.MODES[inputs.allocationMode]) {
+            errors.allocationMode = 'Please select a return assumption';
+        } else if (inputs.allocationMode !== 'single' && inputs.allocation) {
+            const allocation = inputs.allocation;
+            const weights = Object.keys(APP_CONFIG.ALLOCATION.ASSET_CLASSES).map(asset => allocation[asset]);
+            if (weights.some(weight => !Number.isFinite(weight) || weight < 0 || weight > 1) || 
+                Math.abs(weights.reduce((sum, weight) => sum + weight, 0) - 1) > 0.001) {
+                errors.stockAllocation = 'Stock, bond and cash allocations must each be 0-100% and add up to 100%';
+            }
+            
+            const returnFields = { stocks: 'stockReturn', bonds: 'bondReturn', cash: 'cashReturn' };
+            Object.keys(returnFields).forEach(asset => {
+                const expectedReturn = allocation.returns[asset];
+                if (!Number.isFinite(expectedReturn) || expectedReturn < -0.1 || expectedReturn > 0.2) {
+                    errors[returnFields[asset]] = 'Please enter an expected return between -10% and 20%';
+                }
+            });
+            
+            if (inputs.allocationMode === 'glidePath') {
+                if (!Number.isFinite(allocation.glideEndStocks) || 
+                    allocation.glideEndStocks < 0 || allocation.glideEndStocks > allocation.stocks) {
+                    errors.glideEndStocks = 'The ending stock allocation must be between 0% and your starting stock allocation';
+                }
+                
+                if (!Number.isInteger(allocation.glideYears) || 
+                    allocation.glideYears < 1 || allocation.glideYears > APP_CONFIG.FINANCIAL.CROSSOVER_YEARS) {
+                    errors.glideYears = `Please enter a whole number of years from 1 to ${APP_CONFIG.FINANCIAL.CROSSOVER_YEARS}`;
+                }
+            }
+        }
+        
+        // Validate investment fees
+        if (!Number.isFinite(inputs.expenseRatio) || 
+            inputs.expenseRatio < 0 || inputs.expenseRatio > APP_CONFIG.FEES.MAX_EXPENSE_RATIO) {
+            errors.expenseRatio = `Please enter an expense ratio between 0% and ${APP_CONFIG.FEES.MAX_EXPENSE_RATIO * 100}%`;
+        }
+        
+        if (!Number.isFinite(inputs.advisoryFee) || 
+            inputs.advisoryFee < 0 || inputs.advisoryFee > APP_CONFIG.FEES.MAX_ADVISORY_FEE) {
+            errors.advisoryFee = `Please enter an advisory fee between 0% and ${APP_CONFIG.FEES.MAX_ADVISORY_FEE * 100}%`;
+        }
+        
+        // Validate Social Security and pension streams (first problem per stream)
+        const currentYear = new Date().getFullYear();
+        const streamError = (inputs.incomeStreams || []).map((stream, index) => {
+            const label = `Income stream ${index + 1}`;
+            if (!APP_CONFIG.INCOME_STREAMS.TYPES[stream.type]) {
+                return `${label}: please select Social Security or pension`;
+            }
+            if (!(stream.amount > 0)) {
+                return `${label}: please enter the annual amount`;
+            }
+            if (stream.cola !== null && (!Number.isFinite(stream.cola) || stream.cola < 0 || stream.cola > 0.1)) {
+                return `${label}: please enter a COLA between 0% and 10%`;
+            }
+            if (!Number.isInteger(stream.start)) {
+                return `${label}: please enter a start age or calendar year`;
+            }
+            if (stream.start >= APP_CONFIG.INCOME_STREAMS.MIN_START_YEAR) {
+                if (stream.start > currentYear + APP_CONFIG.FINANCIAL.CROSSOVER_YEARS) {
+                    return `${label}: start year must be ${currentYear + APP_CONFIG.FINANCIAL.CROSSOVER_YEARS} or earlier`;
+                }
+            } else if (inputs.age === '') {
+                return `${label}: enter your age above to start a stream at an age, or use a calendar year`;
+            } else if (stream.start < 18 || stream.start > 100) {
+                return `${label}: start age must be between 18 and 100`;
+            }
+            return null;
+        }).find(Boolean);
+        if (streamError) {
+            errors.incomeStreams = streamError;
+        } else if ((inputs.incomeStreams || []).length > APP_CONFIG.INCOME_STREAMS.MAX_STREAMS) {
+            errors.incomeStreams = `Please enter no more than ${APP_CONFIG.INCOME_STREAMS.MAX_STREAMS} income streams`;
+        }
+        
+        // Validate life events (first problem per event)
+        const maxYear = APP_CONFIG.FINANCIAL.CROSSOVER_YEARS;
+        const eventError = (inputs.lifeEvents || []).map(event => {
+            if (!APP_CONFIG.LIFE_EVENTS.TYPES[event.type] || !APP_CONFIG.LIFE_EVENTS.FREQUENCIES[event.frequency]) {
+                return `${event.name}: please choose what changes and how often`;
+            }
+            if (!(event.amount > 0)) {
+                return `${event.name}: please enter an amount`;
+            }
+            if (!Number.isInteger(event.startYear) || event.startYear < 1 || event.startYear > maxYear) {
+                return `${event.name}: start year must be a whole number from 1 to ${maxYear}`;
+            }
+            if (event.endYear !== null && 
+                (!Number.isInteger(event.endYear) || event.endYear < event.startYear || event.endYear > maxYear)) {
+                return `${event.name}: end year must be between the start year and ${maxYear}`;
+            }
+            return null;
+        }).find(Boolean);
+        if (eventError) {
+            errors.lifeEvents = eventError;
+        } else if ((inputs.lifeEvents || []).length > APP_CONFIG.LIFE_EVENTS.MAX_EVENTS) {
+            errors.lifeEvents = `Please enter no more than ${APP_CONFIG.LIFE_EVENTS.MAX_EVENTS} life events`;
+        }
+        
+        // Validate withdrawal strategy
+        if (!APP_CONFIG.WITHDRAWAL.STRATEGIES[inputs.withdrawalStrategy]) {
+            errors.withdrawalStrategy = 'Please select a withdrawal strategy';
+        } else if (inputs.withdrawalStrategy === 'fixedPercent' && 
+            (!Number.isFinite(inputs.withdrawalRate) || inputs.withdrawalRate <= 0 || inputs.withdrawalRate > 0.2)) {
+            errors.withdrawalRate = 'Please enter a withdrawal rate above 0% and up to 20%';
+        } else if (inputs.withdrawalStrategy === 'vpw' && 
+            (!Number.isInteger(inputs.withdrawalYears) || inputs.withdrawalYears < 1 || inputs.withdrawalYears > 100)) {
+            errors.withdrawalYears = 'Please enter a whole number of years from 1 to 100';
+        }
+        
+        // Validate Coast FI target age and Barista FI part-time income
+        if (inputs.coastTargetAge !== '' && inputs.coastTargetAge !== undefined) {
+            if (inputs.age === '' || inputs.age === undefined) {
+                errors.coastTargetAge = 'Enter your age above to use a target age';
+            } else if (!Number.isInteger(inputs.coastTargetAge) || inputs.coastTargetAge <= inputs.age || 
+                inputs.coastTargetAge > inputs.age + APP_CONFIG.FINANCIAL.CROSSOVER_YEARS) {
+                errors.coastTargetAge = `Please enter an age from ${inputs.age + 1} to ${inputs.age + APP_CONFIG.FINANCIAL.CROSSOVER_YEARS}`;
+            }
+        }
+        if (inputs.partTimeIncome !== '' && inputs.partTimeIncome !== undefined && !(inputs.partTimeIncome >= 0)) {
+            errors.partTimeIncome = 'Part-time income cannot be negative';
+        }
+        
+        // Validate savings goal
+        if (!APP_CONFIG.GOAL_SOLVER.TYPES[inputs.goalType]) {
+            errors.goalType = 'Please select a goal';
+        } else if (inputs.goalType !== 'none') {
+            if (!Number.isInteger(inputs.goalYears) || 
+                inputs.goalYears < 1 || inputs.goalYears > APP_CONFIG.FINANCIAL.CROSSOVER_YEARS) {
+                errors.goalYears = `Please enter a whole number of years from 1 to ${APP_CONFIG.FINANCIAL.CROSSOVER_YEARS}`;
+            }
+            
+            if (inputs.goalType === 'wealth' && !(inputs.goalAmount > 0)) {
+                errors.goalAmount = 'Please enter the asset base you want to reach';
+            }
+        }
+        
+        // Validate salary growth
+        if (inputs.salaryGrowthMode === 'flat' && 
+            (!Number.isFinite(inputs.salaryGrowthRate) || 
+             inputs.salaryGrowthRate < -0.2 || inputs.salaryGrowthRate > 0.5)) {
+            errors.salaryGrowthRate = 'Please enter an annual raise between -20% and 50%';
+        }
+        
+        if (inputs.salaryGrowthMode === 'schedule') {
+            const schedule = inputs.salaryGrowthSchedule;
+            if (!Array.isArray(schedule) || schedule.length === 0) {
+                errors.salaryGrowthSchedule = 'Enter year:raise pairs, for example 1:4, 5:15, 6:3';
+            } else if (schedule.some(step => 
+                step.year < 1 || step.year > APP_CONFIG.FINANCIAL.CROSSOVER_YEARS || 
+                step.rate < -0.5 || step.rate > 1)) {
+                errors.salaryGrowthSchedule = `Schedule years must be 1-${APP_CONFIG.FINANCIAL.CROSSOVER_YEARS} and raises between -50% and 100%`;
+            }
+        }
+        
+        // Validate the single expected return (used when there is no portfolio mix)
+        if ((!inputs.allocationMode || inputs.allocationMode === 'single') && 
+            (!Number.isFinite(inputs.expectedReturn) || inputs.expectedReturn < -0.1 || inputs.expectedReturn > 0.2)) {
+            errors.expectedReturn = 'Please enter an expected return between -10% and 20%';
+        }
+        
+        // Validate Monte Carlo settings
+        if (inputs.simulationMode === 'monteCarlo') {
+            if (!Number.isFinite(inputs.returnVolatility) || 
+                inputs.returnVolatility < 0 || inputs.returnVolatility > 0.5) {
+                errors.returnVolatility = 'Please enter a volatility between 0% and 50%';
+            }
+            
+            if (!Number.isInteger(inputs.randomSeed) || inputs.randomSeed < 0) {
+                errors.randomSeed = 'Please enter a whole number seed (0 or more)';
+            }
+        }
+        
+        // Validate filing status
+        if (!inputs.filingStatus) {
+            errors.filingStatus = 'Please select a filing status';
+        }
+        
+        // Validate the partner in two-earner mode (each partner has their own contribution limits)
+        if (!APP_CONFIG.HOUSEHOLD.MODES[inputs.householdMode]) {
+            errors.householdMode = 'Please select who earns income in your household';
+        } else if (inputs.householdMode === 'twoEarner' && inputs.filingStatus && 
+            !APP_CONFIG.HOUSEHOLD.FILING_STATUSES.includes(inputs.filingStatus)) {
+            errors.householdMode = 'Two-earner mode needs a married filing status';
+        }
+        
+        if (partner) {
+            if (!(partner.preTaxIncome > 0)) {
+                errors.partnerIncome = "Please enter your partner's W-2 income";
+            }
+            
+            if (partner.age !== '' && (partner.age < 18 || partner.age > 100)) {
+                errors.partnerAge = 'Please enter an age between 18 and 100';
+            }
+            
+            const partnerLimits = TaxCalculator.getContributionLimits(
+                partner.age === '' ? NaN : partner.age, 
+                inputs.hsaCoverage, 
+                inputs.taxYear
+            );
+            const partnerFields = {
+                contribution401k: ['partner401k', '401(k)'],
+                contributionIRA: ['partnerIRA', 'Traditional IRA']
+            };
+            Object.entries(partnerFields).forEach(([field, [errorKey, label]]) => {
+                if (partner[field] > partnerLimits[field]) {
+                    errors[errorKey] = `${label} contributions cannot exceed your partner's ${UtilityFunctions.formatCurrency(partnerLimits[field])} annual limit`;
+                }
+            });
+            
+            const partnerRothLimit = Math.max(0, 
+                (partnerLimits.contribution401k - (partner.contribution401k || 0)) + 
+                (partnerLimits.contributionIRA - (partner.contributionIRA || 0)));
+            if (partner.contributionRoth > partnerRothLimit) {
+                errors.partnerRoth = `Roth contributions cannot exceed the ${UtilityFunctions.formatCurrency(partnerRothLimit)} left under your partner's 401(k) and IRA limits`;
+            }
+            
+            if ((partner.contribution401k || 0) + (partner.contributionIRA || 0) > (partner.preTaxIncome || 0)) {
+                errors.partner401k = "Pre-tax contributions cannot exceed your partner's income";
+            }
+            
+            if ((partner.wealthTaxDeferred || 0) + (partner.wealthRoth || 0) > (partner.wealthAccount || 0)) {
+                errors.partnerWealthTaxDeferred = "Tax-deferred and Roth balances cannot exceed your partner's asset base";
+            }
+        }
+        
+        // Cross-field validation
+        if (inputs.stateIncomeTax > totalIncome) {
+            errors.stateIncomeTax = 'State tax cannot exceed income';
+        }
+        
+        if (!errors.wealthAccount && 
+            (inputs.wealthTaxDeferred || 0) + (inputs.wealthRoth || 0) > inputs.wealthAccount) {
+            errors.wealthTaxDeferred = 'Tax-deferred and Roth balances cannot exceed your current asset base';
+        }
+        
+        const ownIncome = (inputs.preTaxIncome || 0) + (inputs.selfEmploymentIncome || 0);
+        const totalContributions = (inputs.contribution401k || 0) + 
+            (inputs.contributionIRA || 0) + 
+            (inputs.contributionHSA || 0);
+        if (totalIncome > 0 && totalContributions > ownIncome) {
+            errors.contribution401k = 'Pre-tax contributions cannot exceed income';
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Display validation errors on form
+     * @param {Object} errors - Validation errors
+     * @param {string} formId - Form element ID
+     * @returns {boolean} True if no errors
+     */
+    static displayErrors(errors, formId) {
+        // Clear all previous errors
+        const form = document.getElementById(formId);
+        if (!form) return false;
+        
+        // Reset error states
+        form.querySelectorAll('.form-error').forEach(el => {
+            el.textContent = '';
+        });
+        
+        form.querySelectorAll('.form-input, .form-select').forEach(el => {
+            el.classList.remove('error');
+        });
+        
+        // Display new errors
+        Object.entries(errors).forEach(([fieldName, errorMessage]) => {
+            const errorElement = document.getElementById(`${fieldName}-error`);
+            const inputElement = document.getElementById(fieldName);
+            
+            if (errorElement) {
+                errorElement.textContent = errorMessage;
+            }
+            
+            if (inputElement) {
+                inputElement.classList.add('error');
+            }
+        });
+        
+        return Object.keys(errors).length === 0;
+    }
+}
+
+// ============================================
+// 6. CHART MANAGEMENT MODULE
+// Chart.js configuration and management
+// ============================================
+class ChartManager {
+    /**
+     * Check if device is mobile
+     * @returns {boolean} True if mobile device
+     */
+    static isMobile() {
+        return window.innerWidth <= 768;
+    }
+    
+    /**
+     * Get responsive chart configuration
+     * @returns {Object} Responsive chart config
+     */
+    static getResponsiveConfig() {
+        const isMobile = this.isMobile();
+        
+        return {
+            fontSize: isMobile ? 10 : 14,
+            titleSize: isMobile ? 14 : 18,
+            subtitleSize: isMobile ? 11 : 14,
+            lineWidth: isMobile ? 2 : 3,
+            gridLineWidth: isMobile ? 0.5 : 1,
+            pointRadius: 0,
+            pointHoverRadius: isMobile ? 4 : 6,
+            legendPadding: isMobile ? 10 : 20,
+            axisTitleSize: isMobile ? 11 : 12
+        };
+    }
+    
+    /**
+     * Get default chart options
+     * @returns {Object} Default chart configuration
+     */
+    static getDefaultOptions() {
+        const config = this.getResponsiveConfig();
+        
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    labels: {
+                        color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                        font: {
+                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                            size: config.fontSize
+                        },
+                        padding: config.legendPadding
+                    }
+                },
+                tooltip: {
+                    titleFont: {
+                        family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                        size: config.fontSize
+                    },
+                    bodyFont: {
+                        family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                        size: config.fontSize
+                    }
+                }
+            }
+        };
+    }
+    
+    /**
+     * Create income breakdown doughnut chart
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} data - Chart data
+     * @returns {Chart} Chart instance
+     */
+    static createIncomeChart(ctx, data) {
+        const config = this.getResponsiveConfig();
+        
+        // A negative federal tax is refundable credits paid on top of pay, shown as its own slice
+        const refundableCredits = Math.max(0, -data.federalTax);
+        const federalTax = Math.max(0, data.federalTax);
+        const incomeLabel = refundableCredits > 0 ? 'After-tax Pay' : 'After-tax Income';
+        
+        // Two-earner households split after-tax income into each partner's share
+        const spendable = data.afterTaxIncome - refundableCredits;
+        const earners = data.earnerShares;
+        const partnerShare = earners && data.afterTaxIncome > 0 
+            ? earners.partner.afterTaxIncome / data.afterTaxIncome 
+            : 0;
+        const incomeSlices = earners 
+            ? {
+                labels: [`Your ${incomeLabel}`, `Partner's ${incomeLabel}`],
+                data: [spendable * (1 - partnerShare), spendable * partnerShare],
+                colors: [APP_CONFIG.CHART.COLORS.primary, APP_CONFIG.CHART.PARTNER_COLOR]
+            } 
+            : {
+                labels: [incomeLabel],
+                data: [spendable],
+                colors: [APP_CONFIG.CHART.COLORS.primary]
+            };
+        
+        return new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: [
+                    ...incomeSlices.labels, 
+                    ...(refundableCredits > 0 ? ['Refundable Credits'] : []), 
+                    'Federal Tax', 'Payroll & SE Tax', 'State Tax'
+                ],
+                datasets: [{
+                    data: [
+                        ...incomeSlices.data,
+                        ...(refundableCredits > 0 ? [refundableCredits] : []),
+                        federalTax,
+                        data.payrollTax,
+                        data.stateIncomeTax
+                    ],
+                    backgroundColor: [
+                        ...incomeSlices.colors,
+                        ...(refundableCredits > 0 ? [APP_CONFIG.CHART.COLORS.primaryDark] : []),
+                        APP_CONFIG.CHART.COLORS.dark,
+                        APP_CONFIG.CHART.COLORS.secondary,
+                        APP_CONFIG.CHART.COLORS.gray
+                    ],
+                    borderWidth: 2,
+                    borderColor: APP_CONFIG.CHART.COLORS.darker
+                }]
+            },
+            options: {
+                ...this.getDefaultOptions(),
+                plugins: {
+                    ...this.getDefaultOptions().plugins,
+                    title: {
+                        display: true,
+                        text: 'Income Breakdown',
+                        color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                        font: { 
+                            size: config.titleSize,
+                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily
+                        }
+                    },
+                    // Tax saved is already inside after-tax income, so it is a note rather than a slice
+                    subtitle: {
+                        display: data.preTaxTaxSavings > 0 || refundableCredits > 0,
+                        text: [
+                            refundableCredits > 0 
+                                ? `After-tax income of ${UtilityFunctions.formatCurrency(data.afterTaxIncome)} = after-tax pay + refundable credits` 
+                                : '',
+                            data.preTaxTaxSavings > 0 
+                                ? `After-tax income includes ${UtilityFunctions.formatCurrency(data.preTaxTaxSavings)} of tax saved by pre-tax savings` 
+                                : ''
+                        ].filter(Boolean),
+                        color: APP_CONFIG.CHART.COLORS.gray,
+                        font: {
+                            size: config.subtitleSize,
+                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily
+                        }
+                    },
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            padding: config.legendPadding,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.fontSize
+                            }
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const value = UtilityFunctions.formatCurrency(context.raw);
+                                return `${context.label}: ${value}`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Create federal tax bracket stacked bar chart
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} data - Federal tax breakdown from TaxCalculator
+     * @returns {Chart} Chart instance
+     */
+    static createBracketChart(ctx, data) {
+        const config = this.getResponsiveConfig();
+        const isMobile = this.isMobile();
+        
+        // One stacked dataset per bracket: income slice on the first bar, tax on the second
+        const datasets = data.brackets
+            .filter(bracket => bracket.taxableAmount > 0)
+            .map((bracket, index) => ({
+                label: UtilityFunctions.formatPercentage(bracket.rate),
+                data: [bracket.taxableAmount, bracket.tax],
+                backgroundColor: APP_CONFIG.CHART.BRACKET_COLORS[index % APP_CONFIG.CHART.BRACKET_COLORS.length],
+                borderWidth: 0
+            }));
+        
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: isMobile ? ['Income', 'Tax'] : ['Taxable Income', 'Federal Tax'],
+                datasets
+            },
+            options: {
+                ...this.getDefaultOptions(),
+                indexAxis: 'y',
+                plugins: {
+                    ...this.getDefaultOptions().plugins,
+                    title: {
+                        display: true,
+                        text: isMobile 
+                            ? 'Federal Brackets' 
+                            : `Federal Tax by Bracket (${UtilityFunctions.formatPercentage(data.marginalRate)} marginal rate)`,
+                        color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                        font: {
+                            size: config.titleSize,
+                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily
+                        }
+                    },
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            padding: config.legendPadding,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.fontSize
+                            }
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                return `${context.dataset.label} bracket: ${UtilityFunctions.formatCurrency(context.raw)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        stacked: true,
+                        beginAtZero: true,
+                        ticks: {
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            callback: (value) => UtilityFunctions.formatCurrency(value),
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.fontSize
+                            },
+                            maxTicksLimit: isMobile ? 4 : 6
+                        },
+                        grid: {
+                            color: APP_CONFIG.CHART.DEFAULTS.gridColor,
+                            lineWidth: config.gridLineWidth
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        ticks: {
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.fontSize
+                            }
+                        },
+                        grid: { display: false }
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Create comparison bar chart
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {string} title - Chart title
+     * @param {Array} data - Chart data values
+     * @returns {Chart} Chart instance
+     */
+    static createComparisonChart(ctx, title, data) {
+        const config = this.getResponsiveConfig();
+        
+        // Create gradients for visual appeal
+        const gradient1 = ctx.createLinearGradient(0, 0, 0, ctx.canvas.height);
+        gradient1.addColorStop(0, APP_CONFIG.CHART.COLORS.error);
+        gradient1.addColorStop(1, APP_CONFIG.CHART.COLORS.secondary);
+        
+        const gradient2 = ctx.createLinearGradient(0, 0, 0, ctx.canvas.height);
+        gradient2.addColorStop(0, APP_CONFIG.CHART.COLORS.primary);
+        gradient2.addColorStop(1, APP_CONFIG.CHART.COLORS.primaryDark);
+        
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: ['Worker Target', 'Investor Target'],
+                datasets: [{
+                    data: data,
+                    backgroundColor: [gradient1, gradient2]
+                }]
+            },
+            options: {
+                ...this.getDefaultOptions(),
+                plugins: {
+                    ...this.getDefaultOptions().plugins,
+                    title: {
+                        display: true,
+                        text: title,
+                        color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                        font: {
+                            size: config.titleSize,
+                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily
+                        }
+                    },
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => UtilityFunctions.formatCurrency(context.raw)
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            callback: (value) => UtilityFunctions.formatCurrency(value),
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.fontSize
+                            }
+                        },
+                        grid: {
+                            color: APP_CONFIG.CHART.DEFAULTS.gridColor
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.fontSize
+                            }
+                        },
+                        grid: { display: false }
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Describe the dollar basis shown in projection charts
+     * @param {string} dollarBasis - 'nominal' or 'real'
+     * @returns {string} Basis label for chart titles
+     */
+    static getBasisLabel(dollarBasis) {
+        if (this.isMobile()) {
+            return dollarBasis === 'real' ? 'Real $' : 'Nominal $';
+        }
+        return dollarBasis === 'real' ? "Today's Dollars" : 'Future (Nominal) Dollars';
+    }
+    
+    /**
+     * Build line datasets for Monte Carlo percentile bands
+     * The 90th percentile line fills down to the 10th percentile line.
+     * @param {Object} bands - Values by percentile (keys 0.1, 0.5 and 0.9)
+     * @param {string} label - Path the bands describe
+     * @returns {Array} Chart.js datasets (90th, 50th, 10th)
+     */
+    static getPercentileBandDatasets(bands, label) {
+        const config = this.getResponsiveConfig();
+        const isMobile = this.isMobile();
+        const color = APP_CONFIG.CHART.COLORS.primary;
+        
+        return [0.9, 0.5, 0.1].map(percentile => ({
+            label: isMobile 
+                ? `P${percentile * 100}` 
+                : `${label} ${percentile * 100}th Percentile`,
+            data: bands[percentile],
+            stack: `band-${percentile}`,
+            borderColor: color,
+            backgroundColor: APP_CONFIG.CHART.BAND_COLOR,
+            borderWidth: 1,
+            borderDash: percentile === 0.5 ? [6, 4] : [2, 3],
+            fill: percentile === 0.9 ? '+2' : false,
+            tension: 0.3,
+            pointRadius: 0,
+            pointHoverRadius: config.pointHoverRadius
+        }));
+    }
+    
+    /**
+     * Build an inline plugin that draws labelled vertical marker lines
+     * @param {Array} markers - Markers with an x-axis index, label and color
+     * @returns {Object} Chart.js plugin
+     */
+    static getMarkerPlugin(markers) {
+        const config = this.getResponsiveConfig();
+        const isMobile = this.isMobile();
+        
+        return {
+            id: 'markerLines',
+            afterDatasetsDraw: (chart) => {
+                const { ctx, chartArea, scales } = chart;
+                
+                markers.forEach((marker, index) => {
+                    const x = scales.x.getPixelForValue(marker.index);
+                    if (x < chartArea.left || x > chartArea.right) return;
+                    
+                    ctx.save();
+                    ctx.strokeStyle = marker.color;
+                    ctx.fillStyle = marker.color;
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash([4, 4]);
+                    ctx.beginPath();
+                    ctx.moveTo(x, chartArea.top);
+                    ctx.lineTo(x, chartArea.bottom);
+                    ctx.stroke();
+                    
+                    // Labels sit beside the line, stacked so neighbours don't overlap
+                    if (!isMobile) {
+                        const alignRight = x > (chartArea.left + chartArea.right) / 2;
+                        ctx.font = `${config.fontSize - 2}px ${APP_CONFIG.CHART.DEFAULTS.fontFamily}`;
+                        ctx.textAlign = alignRight ? 'right' : 'left';
+                        ctx.fillText(
+                            marker.label, 
+                            alignRight ? x - 4 : x + 4, 
+                            chartArea.top + config.fontSize * (index + 1)
+                        );
+                    }
+                    ctx.restore();
+                });
+            }
+        };
+    }
+    
+    /**
+     * Create wealth projection line chart
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} data - Projection data
+     * @returns {Chart} Chart instance
+     */
+    static createProjectionChart(ctx, data) {
+        const config = this.getResponsiveConfig();
+        const isMobile = this.isMobile();
+        
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: Array.from(
+                    { length: data.projectionYears }, 
+                    (_, i) => isMobile ? `${i + 1}` : `Year ${i + 1}`
+                ),
+                datasets: [
+                    {
+                        label: isMobile ? 'Worker' : 'Worker Savings Path',
+                        data: data.current,
+                        stack: 'worker',
+                        borderColor: APP_CONFIG.CHART.COLORS.secondary,
+                        backgroundColor: 'transparent',
+                        borderWidth: config.lineWidth,
+                        tension: 0.3,
+                        pointRadius: config.pointRadius,
+                        pointHoverRadius: config.pointHoverRadius
+                    },
+                    {
+                        label: isMobile ? 'Investor' : 'Investor Savings Path',
+                        data: data.target,
+                        stack: 'investor',
+                        borderColor: APP_CONFIG.CHART.COLORS.primary,
+                        backgroundColor: 'transparent',
+                        borderWidth: config.lineWidth,
+                        tension: 0.3,
+                        pointRadius: config.pointRadius,
+                        pointHoverRadius: config.pointHoverRadius
+                    },
+                    // Your savings path, stacked by account type
+                    ...Object.entries(APP_CONFIG.ACCOUNT_TYPES).map(([type, account], index) => ({
+                        label: isMobile ? account.shortLabel : `Your Path: ${account.label}`,
+                        data: data.adjustedBuckets.map(year => year[type]),
+                        stack: 'adjusted',
+                        borderColor: APP_CONFIG.CHART.ACCOUNT_COLORS[type],
+                        backgroundColor: `${APP_CONFIG.CHART.ACCOUNT_COLORS[type]}40`,
+                        fill: index === 0 ? 'origin' : '-1',
+                        borderWidth: 1,
+                        tension: 0.3,
+                        pointRadius: 0,
+                        pointHoverRadius: config.pointHoverRadius
+                    })),
+                    // Monte Carlo range for the investor path
+                    ...(data.bands ? this.getPercentileBandDatasets(data.bands, 'Investor') : [])
+                ]
+            },
+            options: {
+                ...this.getDefaultOptions(),
+                animation: {
+                    duration: 0 // Disable animation for slider responsiveness
+                },
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    ...this.getDefaultOptions().plugins,
+                    title: {
+                        display: true,
+                        text: isMobile 
+                            ? `${data.projectionYears}-Year Projection (${this.getBasisLabel(data.dollarBasis)})` 
+                            : `${data.projectionYears}-Year Wealth Projection (${data.returnLabel}, ${(data.inflationRate * 100).toFixed(1)}% inflation, ${this.getBasisLabel(data.dollarBasis)})`,
+                        color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                        font: { 
+                            size: config.titleSize,
+                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily
+                        }
+                    },
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            padding: config.legendPadding,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.fontSize
+                            },
+                            boxWidth: isMobile ? 30 : 40
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                return `${context.dataset.label}: ${UtilityFunctions.formatCurrency(context.raw)}`;
+                            },
+                            footer: (items) => {
+                                const yourTotal = items
+                                    .filter(item => item.dataset.stack === 'adjusted')
+                                    .reduce((sum, item) => sum + item.raw, 0);
+                                return `Your Savings Path Total: ${UtilityFunctions.formatCurrency(yourTotal)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        // Worker, investor and your path are separate stack groups
+                        stacked: true,
+                        title: {
+                            display: !isMobile,
+                            text: 'Wealth Accumulation ($)',
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.axisTitleSize
+                            }
+                        },
+                        ticks: {
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            callback: (value) => {
+                                if (isMobile) {
+                                    // Abbreviated format for mobile
+                                    if (value >= 1000000) {
+                                        return `$${(value / 1000000).toFixed(1)}M`;
+                                    } else if (value >= 1000) {
+                                        return `$${(value / 1000).toFixed(0)}k`;
+                                    }
+                                    return `$${value}`;
+                                }
+                                return UtilityFunctions.formatCurrency(value);
+                            },
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.fontSize
+                            },
+                            maxTicksLimit: isMobile ? 6 : 8
+                        },
+                        grid: {
+                            color: APP_CONFIG.CHART.DEFAULTS.gridColor,
+                            lineWidth: config.gridLineWidth
+                        }
+                    },
+                    x: {
+                        ticks: { 
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.fontSize
+                            },
+                            maxRotation: 0,
+                            autoSkip: true,
+                            maxTicksLimit: isMobile ? 8 : 15
+                        },
+                        grid: { display: false }
                     }
                 }
-            }
-        };
+            },
+            // Debt payoff dates and life events
+            plugins: [this.getMarkerPlugin(data.markers || [])]
+        });
     }
     
     /**
-     * Create income breakdown doughnut chart
+     * Create financial independence crossover chart
      * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {Object} data - Chart data
+     * @param {Object} data - Crossover data
      * @returns {Chart} Chart instance
      */
-    static createIncomeChart(ctx, data) {
+    static createCrossoverChart(ctx, data) {
         const config = this.getResponsiveConfig();
+        const isMobile = this.isMobile();
+        
+        // With income streams, the investor line shows investment income and the streams stack on top
+        const investorIncome = data.streamIncome 
+            ? data.investorPassive.map((value, i) => value - data.streamIncome[i]) 
+            : data.investorPassive;
+        let investorLabel = isMobile ? 'Investor Passive' : 'After-tax Passive Income (Investor Path)';
+        if (data.streamIncome) {
+            investorLabel = isMobile ? 'Investor Investments' : 'After-tax Investment Income (Investor Path)';
+        }
         
         return new Chart(ctx, {
-            type: 'doughnut',
+            type: 'line',
             data: {
-                labels: ['After-tax Income', 'Federal Tax', 'State Tax'],
-                datasets: [{
-                    data: [
-                        data.afterTaxIncome,
-                        data.federalTax,
-                        data.stateIncomeTax
-                    ],
-                    backgroundColor: [
-                        APP_CONFIG.CHART.COLORS.primary,
-                        APP_CONFIG.CHART.COLORS.dark,
-                        APP_CONFIG.CHART.COLORS.gray
-                    ],
-                    borderWidth: 2,
-                    borderColor: APP_CONFIG.CHART.COLORS.darker
-                }]
+                labels: data.labels,
+                datasets: [
+                    {
+                        label: isMobile ? 'Earned' : 'Earned Income (After-tax)',
+                        data: data.earnedIncome,
+                        stack: 'earned',
+                        borderColor: APP_CONFIG.CHART.COLORS.gray,
+                        backgroundColor: 'transparent',
+                        borderWidth: config.lineWidth,
+                        borderDash: [5, 5],
+                        tension: 0,
+                        pointRadius: config.pointRadius,
+                        pointHoverRadius: config.pointHoverRadius
+                    },
+                    {
+                        label: isMobile ? 'Worker Passive' : 'After-tax Passive Income (Worker Path)',
+                        data: data.workerPassive,
+                        stack: 'worker',
+                        borderColor: APP_CONFIG.CHART.COLORS.secondary,
+                        backgroundColor: 'transparent',
+                        borderWidth: config.lineWidth,
+                        tension: 0.3,
+                        pointRadius: config.pointRadius,
+                        pointHoverRadius: config.pointHoverRadius
+                    },
+                    {
+                        label: investorLabel,
+                        data: investorIncome,
+                        stack: 'investor',
+                        borderColor: APP_CONFIG.CHART.COLORS.primary,
+                        backgroundColor: 'transparent',
+                        borderWidth: config.lineWidth,
+                        tension: 0.3,
+                        pointRadius: config.pointRadius,
+                        pointHoverRadius: config.pointHoverRadius
+                    },
+                    // Social Security and pensions, stacked on the investor's investment income
+                    ...(data.streamIncome ? [{
+                        label: isMobile ? 'SS & Pensions' : 'Social Security & Pensions (After-tax)',
+                        data: data.streamIncome,
+                        stack: 'investor',
+                        borderColor: APP_CONFIG.CHART.STREAM_COLORS.border,
+                        backgroundColor: APP_CONFIG.CHART.STREAM_COLORS.fill,
+                        borderWidth: 1,
+                        fill: '-1',
+                        tension: 0,
+                        pointRadius: 0,
+                        pointHoverRadius: config.pointHoverRadius
+                    }] : []),
+                    // Monte Carlo range for investor passive income
+                    ...(data.bands ? this.getPercentileBandDatasets(data.bands, 'Investor Passive') : [])
+                ]
             },
             options: {
                 ...this.getDefaultOptions(),
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
                 plugins: {
                     ...this.getDefaultOptions().plugins,
                     title: {
                         display: true,
-                        text: 'Income Breakdown',
+                        text: isMobile 
+                            ? `Path to Independence (${this.getBasisLabel(data.dollarBasis)})` 
+                            : `Path to Financial Independence (${this.getBasisLabel(data.dollarBasis)})`,
                         color: APP_CONFIG.CHART.DEFAULTS.fontColor,
-                        font: { 
+                        font: {
                             size: config.titleSize,
-                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily
+                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                            weight: '300'
+                        }
+                    },
+                    subtitle: {
+                        display: !isMobile,
+                        text: data.streamIncome 
+                            ? 'Social Security and pensions (shaded) stack on investment income; once the total exceeds earned income, work becomes optional' 
+                            : 'When after-tax passive income exceeds earned income, work becomes optional',
+                        color: APP_CONFIG.CHART.COLORS.gray,
+                        font: {
+                            size: config.subtitleSize,
+                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                            weight: '300'
                         }
                     },
                     legend: {
@@ -498,155 +3741,120 @@ class ChartManager {
                             font: {
                                 family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
                                 size: config.fontSize
-                            }
+                            },
+                            boxWidth: isMobile ? 30 : 40
                         }
                     },
                     tooltip: {
                         callbacks: {
                             label: (context) => {
-                                const value = UtilityFunctions.formatCurrency(context.raw);
-                                return `${context.label}: ${value}`;
+                                return `${context.dataset.label}: ${UtilityFunctions.formatCurrency(context.raw)}`;
                             }
                         }
                     }
-                }
-            }
-        });
-    }
-    
-    /**
-     * Create comparison bar chart
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {string} title - Chart title
-     * @param {Array} data - Chart data values
-     * @returns {Chart} Chart instance
-     */
-    static createComparisonChart(ctx, title, data) {
-        const config = this.getResponsiveConfig();
-        
-        // Create gradients for visual appeal
-        const gradient1 = ctx.createLinearGradient(0, 0, 0, ctx.canvas.height);
-        gradient1.addColorStop(0, APP_CONFIG.CHART.COLORS.error);
-        gradient1.addColorStop(1, APP_CONFIG.CHART.COLORS.secondary);
-        
-        const gradient2 = ctx.createLinearGradient(0, 0, 0, ctx.canvas.height);
-        gradient2.addColorStop(0, APP_CONFIG.CHART.COLORS.primary);
-        gradient2.addColorStop(1, APP_CONFIG.CHART.COLORS.primaryDark);
-        
-        return new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: ['Worker Target', 'Investor Target'],
-                datasets: [{
-                    data: data,
-                    backgroundColor: [gradient1, gradient2]
-                }]
-            },
-            options: {
-                ...this.getDefaultOptions(),
-                plugins: {
-                    ...this.getDefaultOptions().plugins,
-                    title: {
-                        display: true,
-                        text: title,
-                        color: APP_CONFIG.CHART.DEFAULTS.fontColor,
-                        font: {
-                            size: config.titleSize,
-                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily
-                        }
-                    },
-                    legend: { display: false },
-                    tooltip: {
-                        callbacks: {
-                            label: (context) => UtilityFunctions.formatCurrency(context.raw)
-                        }
-                    }
                 },
                 scales: {
                     y: {
+                        // Earned income, each path and each band are separate stack groups
+                        stacked: true,
                         beginAtZero: true,
+                        title: {
+                            display: !isMobile,
+                            text: 'Annual Income ($)',
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.axisTitleSize
+                            }
+                        },
                         ticks: {
                             color: APP_CONFIG.CHART.DEFAULTS.fontColor,
-                            callback: (value) => UtilityFunctions.formatCurrency(value),
+                            callback: (value) => {
+                                if (isMobile) {
+                                    if (value >= 1000000) {
+                                        return `$${(value / 1000000).toFixed(1)}M`;
+                                    } else if (value >= 1000) {
+                                        return `$${(value / 1000).toFixed(0)}k`;
+                                    }
+                                    return `$${value}`;
+                                }
+                                return UtilityFunctions.formatCurrency(value);
+                            },
                             font: {
                                 family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
                                 size: config.fontSize
-                            }
+                            },
+                            maxTicksLimit: isMobile ? 6 : 8
                         },
                         grid: {
-                            color: APP_CONFIG.CHART.DEFAULTS.gridColor
+                            color: APP_CONFIG.CHART.DEFAULTS.gridColor,
+                            lineWidth: config.gridLineWidth
                         }
                     },
                     x: {
+                        title: {
+                            display: !isMobile,
+                            text: 'Years from Today',
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.axisTitleSize
+                            }
+                        },
                         ticks: {
                             color: APP_CONFIG.CHART.DEFAULTS.fontColor,
                             font: {
                                 family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
                                 size: config.fontSize
-                            }
+                            },
+                            stepSize: data.labels.length > 30 ? 5 : (data.labels.length > 20 ? 2 : 1),
+                            maxRotation: 0,
+                            autoSkip: true
                         },
                         grid: { display: false }
                     }
                 }
-            }
+            },
+            // Life events
+            plugins: [this.getMarkerPlugin(data.markers || [])]
         });
     }
     
     /**
-     * Create wealth projection line chart
+     * Create historical backtest chart of the worst, median and best sequences
      * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {Object} data - Projection data
+     * @param {Object} data - Backtest cases and horizon
      * @returns {Chart} Chart instance
      */
-    static createProjectionChart(ctx, data) {
+    static createBacktestChart(ctx, data) {
         const config = this.getResponsiveConfig();
         const isMobile = this.isMobile();
+        const cases = [
+            { key: 'worst', label: 'Worst', color: APP_CONFIG.CHART.COLORS.error },
+            { key: 'median', label: 'Median', color: APP_CONFIG.CHART.COLORS.gray },
+            { key: 'best', label: 'Best', color: APP_CONFIG.CHART.COLORS.primary }
+        ];
         
         return new Chart(ctx, {
             type: 'line',
             data: {
-                labels: Array.from(
-                    { length: APP_CONFIG.FINANCIAL.PROJECTION_YEARS }, 
-                    (_, i) => isMobile ? `${i + 1}` : `Year ${i + 1}`
-                ),
-                datasets: [
-                    {
-                        label: isMobile ? 'Worker' : 'Worker Savings Path',
-                        data: data.current,
-                        borderColor: APP_CONFIG.CHART.COLORS.secondary,
-                        backgroundColor: 'transparent',
-                        borderWidth: config.lineWidth,
-                        tension: 0.3,
-                        pointRadius: config.pointRadius,
-                        pointHoverRadius: config.pointHoverRadius
-                    },
-                    {
-                        label: isMobile ? 'Investor' : 'Investor Savings Path',
-                        data: data.target,
-                        borderColor: APP_CONFIG.CHART.COLORS.primary,
-                        backgroundColor: 'transparent',
-                        borderWidth: config.lineWidth,
-                        tension: 0.3,
-                        pointRadius: config.pointRadius,
-                        pointHoverRadius: config.pointHoverRadius
-                    },
-                    {
-                        label: isMobile ? 'You' : 'Your Savings Path',
-                        data: data.adjusted,
-                        borderColor: APP_CONFIG.CHART.COLORS.gray,
-                        backgroundColor: 'transparent',
-                        borderWidth: config.lineWidth,
-                        tension: 0.3,
-                        pointRadius: config.pointRadius,
-                        pointHoverRadius: config.pointHoverRadius
-                    }
-                ]
+                labels: Array.from({ length: data.horizon + 1 }, (_, year) => year),
+                datasets: cases.map(({ key, label, color }) => ({
+                    label: isMobile 
+                        ? `${label} (${data[key].startYear})` 
+                        : `${label} Case: Retire in ${data[key].startYear}`,
+                    data: data[key].balances,
+                    borderColor: color,
+                    backgroundColor: 'transparent',
+                    borderWidth: config.lineWidth,
+                    borderDash: key === 'median' ? [5, 5] : [],
+                    tension: 0.3,
+                    pointRadius: 0,
+                    pointHoverRadius: config.pointHoverRadius
+                }))
             },
             options: {
                 ...this.getDefaultOptions(),
-                animation: {
-                    duration: 0 // Disable animation for slider responsiveness
-                },
                 interaction: {
                     mode: 'index',
                     intersect: false
@@ -656,12 +3864,13 @@ class ChartManager {
                     title: {
                         display: true,
                         text: isMobile 
-                            ? '15-Year Projection' 
-                            : `${APP_CONFIG.FINANCIAL.PROJECTION_YEARS}-Year Wealth Projection (${UtilityFunctions.formatPercentage(APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE)} annual return)`,
+                            ? "Historical Sequences (Today's $)" 
+                            : "Investor Future Asset Base Through History (Today's Dollars)",
                         color: APP_CONFIG.CHART.DEFAULTS.fontColor,
-                        font: { 
+                        font: {
                             size: config.titleSize,
-                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily
+                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                            weight: '300'
                         }
                     },
                     legend: {
@@ -689,7 +3898,7 @@ class ChartManager {
                         beginAtZero: true,
                         title: {
                             display: !isMobile,
-                            text: 'Wealth Accumulation ($)',
+                            text: 'Portfolio Balance ($)',
                             color: APP_CONFIG.CHART.DEFAULTS.fontColor,
                             font: {
                                 family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
@@ -700,7 +3909,6 @@ class ChartManager {
                             color: APP_CONFIG.CHART.DEFAULTS.fontColor,
                             callback: (value) => {
                                 if (isMobile) {
-                                    // Abbreviated format for mobile
                                     if (value >= 1000000) {
                                         return `$${(value / 1000000).toFixed(1)}M`;
                                     } else if (value >= 1000) {
@@ -722,15 +3930,23 @@ class ChartManager {
                         }
                     },
                     x: {
-                        ticks: { 
+                        title: {
+                            display: !isMobile,
+                            text: 'Years into Retirement',
+                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+                            font: {
+                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                                size: config.axisTitleSize
+                            }
+                        },
+                        ticks: {
                             color: APP_CONFIG.CHART.DEFAULTS.fontColor,
                             font: {
                                 family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
                                 size: config.fontSize
                             },
                             maxRotation: 0,
-                            autoSkip: true,
-                            maxTicksLimit: isMobile ? 8 : 15
+                            autoSkip: true
                         },
                         grid: { display: false }
                     }
@@ -740,14 +3956,43 @@ class ChartManager {
     }
     
     /**
-     * Create financial independence crossover chart
+     * Create drawdown chart of portfolio balance and spending under a withdrawal strategy
      * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {Object} data - Crossover data
+     * @param {Object} data - Year labels, end-of-year balances, spending, strategy label and dollar basis
      * @returns {Chart} Chart instance
      */
-    static createCrossoverChart(ctx, data) {
+    static createDrawdownChart(ctx, data) {
         const config = this.getResponsiveConfig();
         const isMobile = this.isMobile();
+        const formatAxis = (value) => {
+            if (isMobile) {
+                if (value >= 1000000) {
+                    return `$${(value / 1000000).toFixed(1)}M`;
+                } else if (value >= 1000) {
+                    return `$${(value / 1000).toFixed(0)}k`;
+                }
+                return `$${value}`;
+            }
+            return UtilityFunctions.formatCurrency(value);
+        };
+        const axisTitle = (text) => ({
+            display: !isMobile,
+            text,
+            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+            font: {
+                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                size: config.axisTitleSize
+            }
+        });
+        const ticks = {
+            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
+            callback: formatAxis,
+            font: {
+                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
+                size: config.fontSize
+            },
+            maxTicksLimit: isMobile ? 6 : 8
+        };
         
         return new Chart(ctx, {
             type: 'line',
@@ -755,35 +4000,28 @@ class ChartManager {
                 labels: data.labels,
                 datasets: [
                     {
-                        label: isMobile ? 'Earned' : 'Earned Income (After-tax)',
-                        data: data.earnedIncome,
-                        borderColor: APP_CONFIG.CHART.COLORS.gray,
-                        backgroundColor: 'transparent',
-                        borderWidth: config.lineWidth,
-                        borderDash: [5, 5],
-                        tension: 0,
-                        pointRadius: config.pointRadius,
-                        pointHoverRadius: config.pointHoverRadius
-                    },
-                    {
-                        label: isMobile ? 'Worker Passive' : 'Passive Income (Worker Path)',
-                        data: data.workerPassive,
-                        borderColor: APP_CONFIG.CHART.COLORS.secondary,
-                        backgroundColor: 'transparent',
+                        label: isMobile ? 'Balance' : 'Portfolio Balance (End of Year)',
+                        data: data.balances,
+                        borderColor: APP_CONFIG.CHART.COLORS.primary,
+                        backgroundColor: 'rgba(140, 198, 63, 0.1)',
                         borderWidth: config.lineWidth,
+                        fill: true,
                         tension: 0.3,
-                        pointRadius: config.pointRadius,
-                        pointHoverRadius: config.pointHoverRadius
+                        pointRadius: 0,
+                        pointHoverRadius: config.pointHoverRadius,
+                        yAxisID: 'y'
                     },
                     {
-                        label: isMobile ? 'Investor Passive' : 'Passive Income (Investor Path)',
-                        data: data.investorPassive,
-                        borderColor: APP_CONFIG.CHART.COLORS.primary,
+                        label: isMobile ? 'Spending' : 'Annual Spending',
+                        data: data.spending,
+                        borderColor: APP_CONFIG.CHART.COLORS.secondary,
                         backgroundColor: 'transparent',
                         borderWidth: config.lineWidth,
+                        borderDash: [5, 5],
                         tension: 0.3,
-                        pointRadius: config.pointRadius,
-                        pointHoverRadius: config.pointHoverRadius
+                        pointRadius: 0,
+                        pointHoverRadius: config.pointHoverRadius,
+                        yAxisID: 'spending'
                     }
                 ]
             },
@@ -797,7 +4035,9 @@ class ChartManager {
                     ...this.getDefaultOptions().plugins,
                     title: {
                         display: true,
-                        text: isMobile ? 'Path to Independence' : 'Path to Financial Independence',
+                        text: isMobile 
+                            ? `${data.strategyLabel} (${this.getBasisLabel(data.dollarBasis)})` 
+                            : `Drawdown Under ${data.strategyLabel} (${this.getBasisLabel(data.dollarBasis)})`,
                         color: APP_CONFIG.CHART.DEFAULTS.fontColor,
                         font: {
                             size: config.titleSize,
@@ -805,16 +4045,6 @@ class ChartManager {
                             weight: '300'
                         }
                     },
-                    subtitle: {
-                        display: !isMobile,
-                        text: 'When passive income exceeds earned income, work becomes optional',
-                        color: APP_CONFIG.CHART.COLORS.gray,
-                        font: {
-                            size: config.subtitleSize,
-                            family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
-                            weight: '300'
-                        }
-                    },
                     legend: {
                         position: 'bottom',
                         labels: {
@@ -838,56 +4068,29 @@ class ChartManager {
                 scales: {
                     y: {
                         beginAtZero: true,
-                        title: {
-                            display: !isMobile,
-                            text: 'Annual Income ($)',
-                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
-                            font: {
-                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
-                                size: config.axisTitleSize
-                            }
-                        },
-                        ticks: {
-                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
-                            callback: (value) => {
-                                if (isMobile) {
-                                    if (value >= 1000000) {
-                                        return `$${(value / 1000000).toFixed(1)}M`;
-                                    } else if (value >= 1000) {
-                                        return `$${(value / 1000).toFixed(0)}k`;
-                                    }
-                                    return `$${value}`;
-                                }
-                                return UtilityFunctions.formatCurrency(value);
-                            },
-                            font: {
-                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
-                                size: config.fontSize
-                            },
-                            maxTicksLimit: isMobile ? 6 : 8
-                        },
+                        position: 'left',
+                        title: axisTitle('Portfolio Balance ($)'),
+                        ticks,
                         grid: {
                             color: APP_CONFIG.CHART.DEFAULTS.gridColor,
                             lineWidth: config.gridLineWidth
                         }
                     },
+                    spending: {
+                        beginAtZero: true,
+                        position: 'right',
+                        title: axisTitle('Annual Spending ($)'),
+                        ticks,
+                        grid: { display: false }
+                    },
                     x: {
-                        title: {
-                            display: !isMobile,
-                            text: 'Years from Today',
-                            color: APP_CONFIG.CHART.DEFAULTS.fontColor,
-                            font: {
-                                family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
-                                size: config.axisTitleSize
-                            }
-                        },
+                        title: axisTitle('Years into Retirement'),
                         ticks: {
                             color: APP_CONFIG.CHART.DEFAULTS.fontColor,
                             font: {
                                 family: APP_CONFIG.CHART.DEFAULTS.fontFamily,
                                 size: config.fontSize
                             },
-                            stepSize: data.labels.length > 30 ? 5 : (data.labels.length > 20 ? 2 : 1),
                             maxRotation: 0,
                             autoSkip: true
                         },
@@ -904,13 +4107,13 @@ class ChartManager {
      * @param {Object} data - New projection data
      */
     static updateProjectionChart(chart, data) {
-        const isMobile = this.isMobile();
-        
-        // Update the adjusted dataset
-        chart.data.datasets[2].data = data.adjusted;
-        chart.data.datasets[2].label = isMobile 
-            ? `Adjusted (${UtilityFunctions.formatCurrency(data.adjustedSavings)})` 
-            : `Your Savings Path (${UtilityFunctions.formatCurrency(data.adjustedSavings)})`;
+        // Update the adjusted datasets (one per account type)
+        chart.data.datasets
+            .filter(dataset => dataset.stack === 'adjusted')
+            .forEach((dataset, index) => {
+                const type = Object.keys(APP_CONFIG.ACCOUNT_TYPES)[index];
+                dataset.data = data.adjustedBuckets.map(year => year[type]);
+            });
         
         // Update without animation for smooth slider interaction
         chart.update('none');
@@ -929,18 +4132,77 @@ class FinancialCalculator {
      */
     static calculate(inputs) {
         // Calculate taxes
-        const federalTax = TaxCalculator.calculateFederalTax(
-            inputs.preTaxIncome, 
-            inputs.filingStatus
+        const taxes = TaxCalculator.calculateTaxes(inputs);
+        const totalTax = taxes.totalTax;
+        const grossIncome = taxes.grossIncome;
+        const afterTaxIncome = grossIncome - totalTax;
+        
+        // Tax saved = taxes without pre-tax contributions minus actual taxes
+        const partner = TaxCalculator.getPartner(inputs);
+        const preTaxContributions = (inputs.contribution401k || 0) + 
+            (inputs.contributionIRA || 0) + 
+            (inputs.contributionHSA || 0) + 
+            (partner ? (partner.contribution401k || 0) + (partner.contributionIRA || 0) : 0);
+        const taxesWithoutContributions = TaxCalculator.calculateTaxes({
+            ...inputs,
+            contribution401k: 0,
+            contributionIRA: 0,
+            contributionHSA: 0,
+            partner: partner && { ...partner, contribution401k: 0, contributionIRA: 0 }
+        });
+        const preTaxTaxSavings = taxesWithoutContributions.totalTax - totalTax;
+        
+        // Estimated payments cover the extra tax that 1099 income adds beyond W-2 withholding
+        const taxesWithoutSelfEmployment = TaxCalculator.calculateTaxes({
+            ...inputs,
+            selfEmploymentIncome: 0
+        });
+        const estimatedPayments = TaxCalculator.calculateEstimatedPayments(
+            (taxes.federalTax + taxes.selfEmploymentTax) - 
+                (taxesWithoutSelfEmployment.federalTax + taxesWithoutSelfEmployment.selfEmploymentTax),
+            taxes.stateIncomeTax - taxesWithoutSelfEmployment.stateIncomeTax,
+            inputs.taxYear
         );
-        const totalTax = federalTax + inputs.stateIncomeTax;
-        const afterTaxIncome = inputs.preTaxIncome - totalTax;
         
-        // Handle wealth account (default to 0 if empty)
-        const wealthAccount = inputs.wealthAccount === '' ? 0 : inputs.wealthAccount;
+        // Handle wealth account (default to 0 if empty); a partner's accounts join the household's
+        const ownWealth = inputs.wealthAccount === '' ? 0 : inputs.wealthAccount;
+        const wealthAccount = ownWealth + (partner ? partner.wealthAccount || 0 : 0);
+        
+        // Whatever is not in tax-deferred or Roth accounts sits in a taxable account
+        const taxDeferredWealth = (inputs.wealthTaxDeferred || 0) + (partner ? partner.wealthTaxDeferred || 0 : 0);
+        const rothWealth = (inputs.wealthRoth || 0) + (partner ? partner.wealthRoth || 0 : 0);
+        const wealthBuckets = {
+            taxable: Math.max(0, wealthAccount - taxDeferredWealth - rothWealth),
+            taxDeferred: taxDeferredWealth,
+            roth: rothWealth
+        };
+        const rothContributions = (inputs.contributionRoth || 0) + 
+            (partner ? partner.contributionRoth || 0 : 0);
+        
+        // Projections run in today's dollars, growing at the return left after inflation
+        const inflationRate = Number.isFinite(inputs.inflationRate) 
+            ? inputs.inflationRate 
+            : APP_CONFIG.FINANCIAL.INFLATION_RATE;
+        // A fixed mix or glide path replaces the single return with a blended return each year
+        const allocation = inputs.allocationMode && inputs.allocationMode !== 'single' 
+            ? { ...inputs.allocation, glideYears: inputs.allocationMode === 'glidePath' ? inputs.allocation.glideYears : 0 } 
+            : null;
+        const singleReturn = Number.isFinite(inputs.expectedReturn) 
+            ? inputs.expectedReturn 
+            : APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE;
+        const grossReturnPath = this.calculateReturnPath(allocation, inflationRate, singleReturn);
+        
+        // Fund expenses and advisory fees come off the balance every year
+        const annualFee = (inputs.expenseRatio || 0) + (inputs.advisoryFee || 0);
+        const returnPath = this.applyFees(grossReturnPath, annualFee);
+        const realReturnRate = returnPath[0];
         
         // Calculate estimated current behavior (worker path)
-        const estimatedSaving = inputs.preTaxIncome * APP_CONFIG.FINANCIAL.DEFAULT_SAVINGS_RATE;
+        // Pre-tax and Roth contributions already being made count toward saving
+        const estimatedSaving = Math.max(
+            grossIncome * APP_CONFIG.FINANCIAL.DEFAULT_SAVINGS_RATE,
+            preTaxContributions + rothContributions
+        );
         const estimatedSpending = afterTaxIncome - estimatedSaving;
 
         // Calculate initial investor targets
@@ -963,45 +4225,548 @@ class FinancialCalculator {
         }
         
         return {
-            federalTax,
+            grossIncome,
+            adjustedGrossIncome: taxes.adjustedGrossIncome,
+            deduction: taxes.deduction,
+            qbiDeduction: taxes.qbiDeduction,
+            taxableIncome: taxes.taxableIncome,
+            federalTaxBeforeCredits: taxes.federalTaxBeforeCredits,
+            taxCredits: taxes.credits.total,
+            federalTax: taxes.federalTax,
+            federalBreakdown: taxes.federalBreakdown,
+            payrollTax: taxes.payrollTax,
+            selfEmploymentTax: taxes.selfEmploymentTax,
+            stateIncomeTax: taxes.stateIncomeTax,
             totalTax,
             afterTaxIncome,
+            earnerShares: taxes.earners,
+            preTaxContributions,
+            rothContributions,
+            preTaxTaxSavings,
+            estimatedPayments,
             targetSpending: Math.round(targetSpending),
             targetSaving: Math.round(targetSaving),
             estimatedSaving: Math.round(estimatedSaving),
             estimatedSpending: Math.round(estimatedSpending),
-            wealthAccount
+            wealthAccount,
+            wealthBuckets,
+            inflationRate,
+            realReturnRate,
+            returnPath,
+            grossReturnPath,
+            annualFee,
+            allocation,
+            projectionYears: inputs.projectionYears || APP_CONFIG.FINANCIAL.PROJECTION_YEARS,
+            compoundingSchedule: this.getCompoundingSchedule(inputs.contributionFrequency, inputs.contributionTiming),
+            debtPlan: this.calculateDebtPayoff(inputs.debts || [], inputs.debtStrategy, inputs.extraDebtPayment || 0, inflationRate),
+            lifeEvents: this.calculateLifeEvents(inputs.lifeEvents || []),
+            withdrawalStrategy: {
+                type: inputs.withdrawalStrategy || APP_CONFIG.WITHDRAWAL.DEFAULT_STRATEGY,
+                rate: inputs.withdrawalRate,
+                years: inputs.withdrawalYears
+            },
+            streamIncome: this.calculateIncomeStreams(inputs.incomeStreams || [], inputs.age, inflationRate)
         };
     }
     
     /**
-     * Calculate how many years an asset base will last with given spending
-     * @param {number} annualSpending - Annual spending amount
+     * Project Social Security and pension income year by year in today's dollars
+     * Amounts are entered in today's dollars for the year payments begin. After
+     * that they grow with their COLA, so a COLA below inflation loses real value.
+     * @param {Array} streams - Streams with type, start (age or calendar year), amount and cola (null = inflation)
+     * @param {number|string} age - Current age ('' if unknown)
+     * @param {number} inflationRate - Annual inflation
+     * @param {number} years - Number of years to project
+     * @returns {Array} Gross income, taxable pension income and Social Security benefits for years 0 through years
+     */
+    static calculateIncomeStreams(streams, age, inflationRate, years = APP_CONFIG.FINANCIAL.CROSSOVER_YEARS) {
+        const currentYear = new Date().getFullYear();
+        const starts = streams.map(stream => stream.start >= APP_CONFIG.INCOME_STREAMS.MIN_START_YEAR 
+            ? stream.start - currentYear 
+            : stream.start - age);
+        
+        return Array.from({ length: years + 1 }, (_, year) => {
+            const income = { gross: 0, taxable: 0, socialSecurity: 0 };
+            streams.forEach((stream, i) => {
+                if (year < starts[i]) return;
+                
+                const yearsPaid = year - Math.max(0, starts[i]);
+                const cola = stream.cola === null ? inflationRate : stream.cola;
+                const amount = stream.amount * Math.pow((1 + cola) / (1 + inflationRate), yearsPaid);
+                income.gross += amount;
+                if (stream.type === 'socialSecurity') {
+                    income.socialSecurity += amount;
+                } else {
+                    income.taxable += amount * APP_CONFIG.INCOME_STREAMS.TYPES[stream.type].taxableShare;
+                }
+            });
+            return income;
+        });
+    }
+    
+    /**
+     * Simulate paying off debts month by month
+     * Every open debt gets its minimum payment; the extra payment goes to debts in
+     * strategy order. A cleared debt's minimum payment is freed up for investing.
+     * @param {Array} debts - Debts with name, balance, apr and minimumPayment
+     * @param {string} strategy - 'avalanche' or 'snowball'
+     * @param {number} extraMonthlyPayment - Amount paid above the minimums each month
+     * @param {number} inflationRate - Annual inflation used to restate payments in today's dollars
+     * @returns {Object} Payoff month and interest per debt, and debt payments by year in today's dollars
+     */
+    static calculateDebtPayoff(debts, strategy = APP_CONFIG.DEBTS.DEFAULT_STRATEGY, extraMonthlyPayment = 0, inflationRate = 0) {
+        const balances = debts.map(debt => debt.balance);
+        const payoffMonths = debts.map(debt => debt.balance > 0 ? null : 0);
+        const interestPaid = debts.map(() => 0);
+        const monthlyPayments = [];
+        
+        // Avalanche targets the highest rate first, snowball the smallest balance
+        const priority = debts.map((_, index) => index).sort((a, b) => strategy === 'snowball' 
+            ? debts[a].balance - debts[b].balance 
+            : debts[b].apr - debts[a].apr);
+        
+        for (let month = 1; month <= APP_CONFIG.DEBTS.MAX_PAYOFF_MONTHS && balances.some(balance => balance > 0); month++) {
+            let paid = 0;
+            
+            // Interest accrues, then each open debt gets its minimum payment
+            debts.forEach((debt, index) => {
+                if (balances[index] <= 0) return;
+                const interest = balances[index] * debt.apr / 12;
+                interestPaid[index] += interest;
+                const payment = Math.min(balances[index] + interest, debt.minimumPayment);
+                balances[index] += interest - payment;
+                paid += payment;
+            });
+            
+            // Extra payment goes to the first open debt in priority order
+            let extra = extraMonthlyPayment;
+            priority.forEach(index => {
+                if (extra <= 0 || balances[index] <= 0) return;
+                const payment = Math.min(balances[index], extra);
+                balances[index] -= payment;
+                extra -= payment;
+                paid += payment;
+            });
+            
+            debts.forEach((_, index) => {
+                if (payoffMonths[index] === null && balances[index] < 0.01) {
+                    balances[index] = 0;
+                    payoffMonths[index] = month;
+                }
+            });
+            monthlyPayments.push(paid);
+        }
+        
+        // Roll monthly payments up into years (index 0 = year 1); payments are fixed
+        // nominal dollars, so deflate each year to match the real-dollar projections
+        const annualPayments = [];
+        monthlyPayments.forEach((payment, index) => {
+            const year = Math.floor(index / 12);
+            annualPayments[year] = (annualPayments[year] || 0) + payment / Math.pow(1 + inflationRate, year + 1);
+        });
+        
+        return {
+            strategy,
+            debts: debts.map((debt, index) => ({
+                ...debt,
+                payoffMonth: payoffMonths[index],
+                interestPaid: interestPaid[index]
+            })),
+            annualPayments,
+            totalInterest: interestPaid.reduce((sum, interest) => sum + interest, 0),
+            payoffMonth: payoffMonths.includes(null) ? null : Math.max(0, ...payoffMonths)
+        };
+    }
+    
+    /**
+     * Take a year's debt payments out of that year's savings
+     * Debt is paid from taxable savings first, then Roth, then tax-deferred.
+     * @param {Object} savings - Savings by account type
+     * @param {number} debtPayment - Debt payments due that year
+     * @returns {Object} Savings left to invest by account type
+     */
+    static applyDebtPayments(savings, debtPayment) {
+        let remaining = debtPayment;
+        const invested = {};
+        ['taxable', 'roth', 'taxDeferred'].forEach(type => {
+            const paid = Math.min(savings[type] || 0, remaining);
+            invested[type] = (savings[type] || 0) - paid;
+            remaining -= paid;
+        });
+        return invested;
+    }
+    
+    /**
+     * Turn the life events timeline into savings and asset changes for each year
+     * One-time events land in their start year; recurring events repeat every year
+     * from the start year through the end year (or the end of the analysis).
+     * @param {Array} events - Events with name, type, frequency, amount, startYear and endYear (null = open-ended)
+     * @param {number} years - Number of years to cover
+     * @returns {Array} Saving and asset changes by year (index 0 = year 1)
+     */
+    static calculateLifeEvents(events, years = APP_CONFIG.FINANCIAL.CROSSOVER_YEARS) {
+        const cashFlows = Array.from({ length: years }, () => ({ saving: 0, assets: 0 }));
+        
+        events.forEach(event => {
+            const type = APP_CONFIG.LIFE_EVENTS.TYPES[event.type];
+            const lastYear = event.frequency === 'once' 
+                ? event.startYear 
+                : Math.min(years, event.endYear || years);
+            for (let year = event.startYear; year <= lastYear; year++) {
+                cashFlows[year - 1][type.target] += type.sign * event.amount;
+            }
+        });
+        
+        return cashFlows;
+    }
+    
+    /**
+     * Apply a year's life events to that year's savings by account type
+     * Extra saving goes to the taxable account. Cuts come out of the year's savings
+     * (taxable, then Roth, then tax-deferred) and anything beyond them is taken from assets.
+     * @param {Object} savings - Savings by account type for the year
+     * @param {Object} lifeEvent - Saving and asset changes for the year
+     * @returns {Object} Savings by account type plus the year's assetChange
+     */
+    static applyLifeEvent(savings, lifeEvent) {
+        if (!lifeEvent) {
+            return { ...savings, assetChange: 0 };
+        }
+        
+        if (lifeEvent.saving >= 0) {
+            return { ...savings, taxable: savings.taxable + lifeEvent.saving, assetChange: lifeEvent.assets };
+        }
+        
+        const shortfall = -lifeEvent.saving;
+        const available = savings.taxable + savings.roth + savings.taxDeferred;
+        return {
+            ...this.applyDebtPayments(savings, shortfall),
+            assetChange: lifeEvent.assets - Math.max(0, shortfall - available)
+        };
+    }
+    
+    /**
+     * Add to or take from account balances at the start of a year
+     * Additions go to the taxable account; withdrawals come from taxable, then Roth, then tax-deferred.
+     * @param {Object} buckets - Balance by account type (updated in place)
+     * @param {number} taxableBasis - Contributions (cost basis) in the taxable account
+     * @param {number} amount - Lump sum to add (positive) or withdraw (negative)
+     * @returns {number} Taxable basis after the change
+     */
+    static applyAssetChange(buckets, taxableBasis, amount) {
+        if (amount >= 0) {
+            buckets.taxable += amount;
+            return taxableBasis + amount;
+        }
+        
+        // Selling from the taxable account removes a proportional share of its basis
+        let remaining = -amount;
+        let basis = taxableBasis;
+        ['taxable', 'roth', 'taxDeferred'].forEach(type => {
+            const withdrawn = Math.min(buckets[type], remaining);
+            if (type === 'taxable' && buckets.taxable > 0) {
+                basis -= basis * withdrawn / buckets.taxable;
+            }
+            buckets[type] -= withdrawn;
+            remaining -= withdrawn;
+        });
+        return basis;
+    }
+    
+    /**
+     * Grow a single balance through one year of saving, debt payments and life events
+     * @param {number} balance - Balance at the start of the year
+     * @param {number} annualSaving - Planned saving for the year
+     * @param {number} returnRate - Return for the year
+     * @param {Object} schedule - Contribution schedule from getCompoundingSchedule()
+     * @param {number} debtPayment - Debt payments taken out of the year's saving
+     * @param {Object} lifeEvent - Saving and asset changes for the year
+     * @returns {number} Balance at the end of the year
+     */
+    static projectYear(balance, annualSaving, returnRate, schedule, debtPayment = 0, lifeEvent = null) {
+        let invested = Math.max(0, annualSaving - debtPayment);
+        let assetChange = 0;
+        
+        // Saving cuts beyond the year's saving are taken from the balance
+        if (lifeEvent) {
+            invested += lifeEvent.saving;
+            assetChange = lifeEvent.assets + Math.min(0, invested);
+            invested = Math.max(0, invested);
+        }
+        
+        return this.compoundYear(Math.max(0, balance + assetChange), invested, returnRate, schedule);
+    }
+    
+    /**
+     * Convert the nominal investment return into a real (after-inflation) return
+     * @param {number} inflationRate - Annual inflation rate
+     * @returns {number} Real annual return
+     */
+    static calculateRealReturnRate(inflationRate, nominalReturn = APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE) {
+        return (1 + nominalReturn) / (1 + inflationRate) - 1;
+    }
+    
+    /**
+     * Get the stock, bond and cash weights for a year of the glide path
+     * Stocks move in a straight line to the ending share, with the difference held in bonds.
+     * @param {Object} allocation - Starting weights, glideEndStocks and glideYears (null glide = fixed mix)
+     * @param {number} year - Years from today (1 = first year)
+     * @returns {Object} Weights by asset class
+     */
+    static getAllocationForYear(allocation, year) {
+        const progress = allocation.glideYears > 0 
+            ? Math.min(1, (year - 1) / allocation.glideYears) 
+            : 0;
+        const stocks = allocation.stocks + (allocation.glideEndStocks - allocation.stocks) * progress;
+        
+        return {
+            stocks,
+            bonds: allocation.bonds + (allocation.stocks - stocks),
+            cash: allocation.cash
+        };
+    }
+    
+    /**
+     * Build the real (after-inflation) portfolio return for each year
+     * The path holds its last value for every later year, so a single
+     * return or a fixed mix is a one-entry path.
+     * @param {Object|null} allocation - Weights, expected returns and glide path (null = single return)
+     * @param {number} inflationRate - Annual inflation
+     * @param {number} singleReturn - Nominal return used when there is no allocation
+     * @returns {Array} Real returns by year (index 0 = year 1)
+     */
+    static calculateReturnPath(allocation, inflationRate, singleReturn = APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE) {
+        if (!allocation) {
+            return [this.calculateRealReturnRate(inflationRate, singleReturn)];
+        }
+        
+        return Array.from({ length: allocation.glideYears + 1 }, (_, i) => {
+            const weights = this.getAllocationForYear(allocation, i + 1);
+            const blendedReturn = Object.keys(weights).reduce(
+                (sum, asset) => sum + weights[asset] * allocation.returns[asset], 
+                0
+            );
+            return this.calculateRealReturnRate(inflationRate, blendedReturn);
+        });
+    }
+    
+    /**
+     * Reduce each year's return by fees charged as a share of the balance
+     * @param {Array} returns - Annual returns before fees
+     * @param {number} annualFee - Expense ratio plus advisory fee
+     * @returns {Array} Annual returns after fees
+     */
+    static applyFees(returns, annualFee) {
+        return returns.map(annualReturn => (1 + annualReturn) * (1 - annualFee) - 1);
+    }
+    
+    /**
+     * Get the return for one year from a single rate or a return path
+     * @param {number|Array} returnRate - Annual return, or returns by year (last value holds)
+     * @param {number} year - Years from today (1 = first year)
+     * @returns {number} Return for that year
+     */
+    static getReturnForYear(returnRate, year) {
+        if (!Array.isArray(returnRate)) {
+            return returnRate;
+        }
+        return returnRate[Math.min(year, returnRate.length) - 1];
+    }
+    
+    /**
+     * Build the contribution schedule used by the compounding engine
+     * @param {string} frequency - 'monthly', 'biweekly' or 'annual'
+     * @param {string} timing - 'start' or 'end' of each period
+     * @returns {Object} Periods per year and cash flow timing
+     */
+    static getCompoundingSchedule(frequency = APP_CONFIG.COMPOUNDING.DEFAULT_FREQUENCY, 
+                                  timing = APP_CONFIG.COMPOUNDING.DEFAULT_TIMING) {
+        const settings = APP_CONFIG.COMPOUNDING;
+        return {
+            periodsPerYear: (settings.FREQUENCIES[frequency] || settings.FREQUENCIES[settings.DEFAULT_FREQUENCY]).periodsPerYear,
+            timing: settings.TIMINGS.includes(timing) ? timing : settings.DEFAULT_TIMING
+        };
+    }
+    
+    /**
+     * Compound a balance through one year with cash flows spread across its periods
+     * Every projection, crossover and endurance calculation goes through here so they reconcile.
+     * The annual return is split into equal periodic returns that compound back to the annual rate.
+     * @param {number} balance - Balance at the start of the year
+     * @param {number} annualCashFlow - Contributions for the year (negative for withdrawals)
+     * @param {number} returnRate - Annual return for the year
+     * @param {Object} schedule - Periods per year and cash flow timing from getCompoundingSchedule()
+     * @returns {number} Balance at the end of the year
+     */
+    static compoundYear(balance, annualCashFlow, returnRate, schedule) {
+        const periods = schedule.periodsPerYear;
+        const periodicRate = Math.pow(1 + returnRate, 1 / periods) - 1;
+        const cashFlow = annualCashFlow / periods;
+        
+        // Future value of the period cash flows (an annuity due when paid at the start)
+        let cashFlowValue = periodicRate === 0 
+            ? cashFlow * periods 
+            : cashFlow * (Math.pow(1 + periodicRate, periods) - 1) / periodicRate;
+        if (schedule.timing === 'start') {
+            cashFlowValue *= 1 + periodicRate;
+        }
+        
+        return balance * (1 + returnRate) + cashFlowValue;
+    }
+    
+    /**
+     * Work out one year's spending under a withdrawal strategy
+     * Fixed dollar spends the same real amount every year. Fixed percentage spends a
+     * set share of the balance. Guyton-Klinger starts at the planned spending and cuts
+     * or raises it when the withdrawal rate drifts outside its guardrails. VPW spends
+     * the balance down evenly over what is left of the planning horizon.
+     * @param {Object} strategy - Strategy type, rate (fixed percentage), years (VPW horizon) and an optional
+     *     plannedReturn that VPW uses in place of the year's return (for simulated return paths)
+     * @param {Object} state - Year (1 = first), start-of-year balance, last year's spending and the initial withdrawal rate
+     * @param {number} annualSpending - Planned first-year spending
+     * @param {number} annualReturn - Return expected this year
+     * @param {Object} schedule - Withdrawal schedule from getCompoundingSchedule()
+     * @returns {number} Spending for the year
+     */
+    static getStrategySpending(strategy, state, annualSpending, annualReturn, schedule = this.getCompoundingSchedule()) {
+        const config = APP_CONFIG.WITHDRAWAL;
+        
+        switch (strategy.type) {
+            case 'fixedPercent':
+                return state.balance * strategy.rate;
+            
+            case 'guytonKlinger': {
+                if (state.year === 1) {
+                    return annualSpending;
+                }
+                const currentRate = state.lastSpending / state.balance;
+                if (currentRate > state.initialRate * (1 + config.GUARDRAIL_BAND)) {
+                    return state.lastSpending * (1 - config.GUARDRAIL_ADJUSTMENT);
+                }
+                if (currentRate < state.initialRate * (1 - config.GUARDRAIL_BAND)) {
+                    return state.lastSpending * (1 + config.GUARDRAIL_ADJUSTMENT);
+                }
+                return state.lastSpending;
+            }
+            
+            case 'vpw': {
+                // Level payment that would use up the balance over the remaining years
+                const plannedReturn = strategy.plannedReturn !== undefined ? strategy.plannedReturn : annualReturn;
+                const remainingYears = Math.max(1, strategy.years - state.year + 1);
+                const paymentRate = plannedReturn === 0 
+                    ? 1 / remainingYears 
+                    : plannedReturn / (1 - Math.pow(1 + plannedReturn, -remainingYears));
+                // Withdrawals spread through the year lose growth, so scale to their year-end value
+                return state.balance * paymentRate / this.compoundYear(0, 1, plannedReturn, schedule);
+            }
+            
+            default:
+                return annualSpending;
+        }
+    }
+    
+    /**
+     * Draw down an asset base year by year under a withdrawal strategy
+     * Fixed dollar and guardrail plans fail when the assets run out. Fixed percentage and
+     * VPW plans fail in the first year spending falls below the planned amount, and a VPW
+     * plan that keeps spending on plan to the end of its planning horizon succeeds.
+     * @param {number} annualSpending - Planned first-year spending
      * @param {number} assetBase - Initial asset base
-     * @param {number} yearsElapsed - Years counter (start with 0)
-     * @returns {number} Years until depletion (-1 if sustainable indefinitely)
+     * @param {number|Array} returnRate - Real annual return on the asset base, or returns by year
+     * @param {Object} schedule - Withdrawal schedule from getCompoundingSchedule()
+     * @param {Object} strategy - Withdrawal strategy settings
+     * @param {number} years - Number of years to run
+     * @returns {Object} Year-by-year rows and years lasted (-1 if the plan never fails)
      */
-    static calculateAssetEndurance(annualSpending, assetBase, yearsElapsed = 0) {
-        // If spending is less than sustainable withdrawal rate, assets last forever
-        if (annualSpending <= assetBase * APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE) {
-            return -1; // Sustainable indefinitely
+    static calculateWithdrawalSchedule(annualSpending, assetBase, returnRate, schedule = this.getCompoundingSchedule(), strategy = { type: 'fixedDollar' }, years = APP_CONFIG.WITHDRAWAL.SCHEDULE_YEARS) {
+        const rows = [];
+        const hasFloor = APP_CONFIG.WITHDRAWAL.FLOOR_STRATEGIES.includes(strategy.type);
+        let yearsLasted = -1;
+        const state = {
+            year: 1,
+            balance: assetBase,
+            lastSpending: annualSpending,
+            initialRate: assetBase > 0 ? annualSpending / assetBase : 0
+        };
+        
+        for (; state.year <= years; state.year++) {
+            const annualReturn = this.getReturnForYear(returnRate, state.year);
+            const spending = Math.max(0, this.getStrategySpending(strategy, state, annualSpending, annualReturn, schedule));
+            const endBalance = this.compoundYear(state.balance, -spending, annualReturn, schedule);
+            
+            rows.push({
+                year: state.year,
+                startBalance: state.balance,
+                spending,
+                annualReturn,
+                endBalance: Math.max(0, endBalance)
+            });
+            
+            // Keep drawing down after a shortfall so the schedule shows the whole path
+            if (hasFloor && spending < annualSpending && yearsLasted === -1) {
+                yearsLasted = state.year;
+            }
+            if (strategy.type === 'vpw' && state.year >= strategy.years) {
+                break;
+            }
+            if (endBalance <= 0) {
+                return { rows, yearsLasted: yearsLasted === -1 ? state.year : yearsLasted };
+            }
+            state.balance = endBalance;
+            state.lastSpending = spending;
         }
         
-        // Check if assets would be depleted this year
-        if (assetBase - annualSpending <= 0) {
-            return yearsElapsed + 1;
+        return { rows, yearsLasted };
+    }
+    
+    /**
+     * Calculate how many years an asset base will last with given spending
+     * Runs year by year (no recursion), so huge asset bases cannot exhaust the call stack.
+     * Fixed percentage and VPW plans count the years spending stays at or above annualSpending.
+     * @param {number} annualSpending - Annual spending amount (first-year spending for variable strategies)
+     * @param {number} assetBase - Initial asset base
+     * @param {number} yearsElapsed - Years already elapsed on the return path (usually 0)
+     * @param {number|Array} returnRate - Real annual return on the asset base, or returns by year (default: 7% after default inflation)
+     * @param {Object} schedule - Withdrawal schedule from getCompoundingSchedule()
+     * @param {Object} strategy - Withdrawal strategy settings (fixed dollar if omitted)
+     * @returns {number} Years until depletion or a spending shortfall (-1 if sustainable indefinitely)
+     */
+    static calculateAssetEndurance(annualSpending, assetBase, yearsElapsed = 0, returnRate = this.calculateRealReturnRate(APP_CONFIG.FINANCIAL.INFLATION_RATE), schedule = this.getCompoundingSchedule(), strategy = { type: 'fixedDollar' }) {
+        const remainingPath = Array.isArray(returnRate) 
+            ? returnRate.slice(Math.min(yearsElapsed, returnRate.length - 1)) 
+            : returnRate;
+        
+        if (strategy.type !== 'fixedDollar') {
+            const { yearsLasted } = this.calculateWithdrawalSchedule(
+                annualSpending, assetBase, remainingPath, schedule, strategy, APP_CONFIG.WITHDRAWAL.MAX_YEARS
+            );
+            return yearsLasted === -1 ? -1 : yearsElapsed + yearsLasted;
         }
         
-        // Calculate next year's assets after spending and growth
-        const remainingAssets = (assetBase - annualSpending) * 
-            (1 + APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE);
+        let assets = assetBase;
+        for (let year = 1; year <= APP_CONFIG.WITHDRAWAL.MAX_YEARS; year++) {
+            // Calculate next year's assets after spending and growth
+            const remainingAssets = this.compoundYear(
+                assets, 
+                -annualSpending, 
+                this.getReturnForYear(remainingPath, year), 
+                schedule
+            );
+            
+            // If growth covers spending once returns stop changing, assets last forever
+            const returnsSettled = !Array.isArray(remainingPath) || year >= remainingPath.length;
+            if (annualSpending <= 0 || (remainingAssets >= assets && returnsSettled)) {
+                return -1; // Sustainable indefinitely
+            }
+            
+            // Check if assets would be depleted this year
+            if (remainingAssets <= 0) {
+                return yearsElapsed + year;
+            }
+            assets = remainingAssets;
+        }
         
-        // Recursive call for next year
-        return this.calculateAssetEndurance(
-            annualSpending, 
-            remainingAssets, 
-            yearsElapsed + 1
-        );
+        return -1;
     }
     
     /**
@@ -1009,81 +4774,218 @@ class FinancialCalculator {
      * @param {number} annualSaving - Annual saving amount
      * @param {number} years - Number of years to project
      * @param {number} startingBalance - Initial balance
+     * @param {number|Array} returnRate - Real annual investment return, or returns by year (default: 7% after default inflation)
+     * @param {Object} schedule - Contribution schedule from getCompoundingSchedule()
+     * @param {Array} debtPayments - Debt payments taken out of savings each year (index 0 = year 1)
+     * @param {Array} lifeEvents - Saving and asset changes by year from calculateLifeEvents() (index 0 = year 1)
      * @returns {Array} Array of projected values by year
      */
-    static calculateProjection(annualSaving, years = APP_CONFIG.FINANCIAL.PROJECTION_YEARS, startingBalance = 0) {
+    static calculateProjection(annualSaving, years = APP_CONFIG.FINANCIAL.PROJECTION_YEARS, startingBalance = 0, returnRate = this.calculateRealReturnRate(APP_CONFIG.FINANCIAL.INFLATION_RATE), schedule = this.getCompoundingSchedule(), debtPayments = [], lifeEvents = []) {
         const projection = [];
         let balance = startingBalance;
         
-        for (let year = 1; year <= years; year++) {
-            // Add savings at beginning of year
-            balance += annualSaving;
-            // Apply investment growth
-            balance = balance * (1 + APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE);
-            projection.push(Math.round(balance));
-        }
+        for (let year = 1; year <= years; year++) {
+            balance = this.projectYear(
+                balance, 
+                annualSaving, 
+                this.getReturnForYear(returnRate, year), 
+                schedule, 
+                debtPayments[year - 1] || 0, 
+                lifeEvents[year - 1]
+            );
+            projection.push(Math.round(balance));
+        }
+        
+        return projection;
+    }
+    
+    /**
+     * Split a year of savings across account types
+     * Pre-tax contributions fill the tax-deferred bucket first, then Roth
+     * contributions, and anything left over is invested in a taxable account.
+     * @param {number} annualSaving - Annual saving amount
+     * @param {Object} calculations - Calculated values from calculate()
+     * @returns {Object} Savings by account type
+     */
+    static splitSavings(annualSaving, calculations) {
+        const taxDeferred = Math.min(annualSaving, calculations.preTaxContributions);
+        const roth = Math.min(annualSaving - taxDeferred, calculations.rothContributions);
+        
+        return {
+            taxable: annualSaving - taxDeferred - roth,
+            taxDeferred,
+            roth
+        };
+    }
+    
+    /**
+     * Calculate wealth projection for each account type
+     * @param {Object} annualSavings - Annual saving by account type
+     * @param {number} years - Number of years to project
+     * @param {Object} startingBuckets - Initial balance by account type
+     * @param {number|Array} returnRate - Real annual investment return, or returns by year (default: 7% after default inflation)
+     * @param {Object} schedule - Contribution schedule from getCompoundingSchedule()
+     * @param {Array} debtPayments - Debt payments taken out of savings each year (index 0 = year 1)
+     * @param {Array} lifeEvents - Saving and asset changes by year from calculateLifeEvents() (index 0 = year 1)
+     * @returns {Array} Balances by account type and total for each year
+     */
+    static calculateBucketProjection(annualSavings, years = APP_CONFIG.FINANCIAL.PROJECTION_YEARS, startingBuckets = {}, returnRate = this.calculateRealReturnRate(APP_CONFIG.FINANCIAL.INFLATION_RATE), schedule = this.getCompoundingSchedule(), debtPayments = [], lifeEvents = []) {
+        const accountTypes = Object.keys(APP_CONFIG.ACCOUNT_TYPES);
+        const balances = {};
+        accountTypes.forEach(type => {
+            balances[type] = startingBuckets[type] || 0;
+        });
+        
+        return Array.from({ length: years }, (_, i) => {
+            const invested = this.applyLifeEvent(
+                this.applyDebtPayments(annualSavings, debtPayments[i] || 0), 
+                lifeEvents[i]
+            );
+            this.applyAssetChange(balances, 0, invested.assetChange);
+            const yearReturn = this.getReturnForYear(returnRate, i + 1);
+            const yearBalances = { total: 0 };
+            accountTypes.forEach(type => {
+                balances[type] = this.compoundYear(balances[type], invested[type], yearReturn, schedule);
+                yearBalances[type] = Math.round(balances[type]);
+                yearBalances.total += yearBalances[type];
+            });
+            return yearBalances;
+        });
+    }
+    
+    /**
+     * Calculate after-tax passive income from each account type
+     * @param {Object} buckets - Balance by account type
+     * @param {number} taxableBasis - Contributions (cost basis) in the taxable account
+     * @param {Object} taxSettings - Filing status, tax year and state of residence
+     * @param {Object} streams - Gross and taxable Social Security and pension income for the year
+     * @returns {Object} Gross income, after-tax income by account type and from streams, and total
+     */
+    static calculatePassiveIncome(buckets, taxableBasis, taxSettings, streams = { gross: 0, taxable: 0, socialSecurity: 0 }) {
+        const rate = APP_CONFIG.FINANCIAL.WITHDRAWAL_RATE;
+        const withdrawals = {
+            taxable: buckets.taxable * rate,
+            taxDeferred: buckets.taxDeferred * rate,
+            roth: buckets.roth * rate
+        };
+        
+        // Only the growth above basis is taxed when selling from a taxable account
+        const gainsShare = buckets.taxable > 0 
+            ? Math.max(0, 1 - taxableBasis / buckets.taxable) 
+            : 0;
+        const taxes = TaxCalculator.calculateWithdrawalTaxes(
+            withdrawals.taxDeferred, 
+            withdrawals.taxable * gainsShare, 
+            taxSettings.filingStatus, 
+            taxSettings.stateOfResidence, 
+            taxSettings.taxYear, 
+            streams.taxable, 
+            streams.socialSecurity
+        );
+        
+        const byAccount = {};
+        Object.keys(withdrawals).forEach(type => {
+            byAccount[type] = withdrawals[type] - taxes[type];
+        });
+        const streamIncome = streams.gross - taxes.streams;
         
-        return projection;
+        return {
+            gross: withdrawals.taxable + withdrawals.taxDeferred + withdrawals.roth + streams.gross,
+            byAccount,
+            streamIncome,
+            total: byAccount.taxable + byAccount.taxDeferred + byAccount.roth + streamIncome
+        };
     }
     
     /**
-     * Calculate final value after 15 years of saving and growth
+     * Calculate final value at the end of the projection horizon
      * @param {number} annualSaving - Annual saving amount
+     * @param {number} years - Number of years of saving and growth
      * @param {number} startingBalance - Initial balance
+     * @param {number|Array} returnRate - Real annual investment return, or returns by year (default: 7% after default inflation)
+     * @param {Object} schedule - Contribution schedule from getCompoundingSchedule()
+     * @param {Array} debtPayments - Debt payments taken out of savings each year (index 0 = year 1)
+     * @param {Array} lifeEvents - Saving and asset changes by year from calculateLifeEvents() (index 0 = year 1)
      * @returns {number} Final projected value
      */
-    static calculateFifteenYearValue(annualSaving, startingBalance = 0) {
+    static calculateFutureValue(annualSaving, years = APP_CONFIG.FINANCIAL.PROJECTION_YEARS, startingBalance = 0, returnRate = this.calculateRealReturnRate(APP_CONFIG.FINANCIAL.INFLATION_RATE), schedule = this.getCompoundingSchedule(), debtPayments = [], lifeEvents = []) {
         let balance = startingBalance;
         
-        for (let i = 1; i <= APP_CONFIG.FINANCIAL.PROJECTION_YEARS; i++) {
-            balance += annualSaving;
-            balance = balance * (1 + APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE);
+        for (let i = 1; i <= years; i++) {
+            balance = this.projectYear(
+                balance, 
+                annualSaving, 
+                this.getReturnForYear(returnRate, i), 
+                schedule, 
+                debtPayments[i - 1] || 0, 
+                lifeEvents[i - 1]
+            );
         }
         
         return Math.round(balance);
     }
     
     /**
-     * Calculate crossover point when passive income exceeds earned income
-     * @param {number} earnedIncome - Annual after-tax earned income
-     * @param {number} currentAssets - Starting asset base
-     * @param {number} annualSavings - Annual savings amount
+     * Calculate crossover point when after-tax passive income exceeds earned income
+     * @param {Array} earnedIncome - After-tax earned income by year (index 0 = today)
+     * @param {Object} currentAssets - Starting balance by account type
+     * @param {Array} annualSavings - Savings by account type for each year (index = year)
+     * @param {Object} taxSettings - Filing status, tax year and state of residence
+     * @param {number|Array} returnRate - Real annual investment return, or returns by year (default: 7% after default inflation)
+     * @param {Object} schedule - Contribution schedule from getCompoundingSchedule()
+     * @param {Array} streamIncome - Social Security and pension income by year (index = year)
      * @returns {Object} Crossover data including years and projection
      */
-    static calculateCrossoverPoint(earnedIncome, currentAssets, annualSavings) {
-        let assets = currentAssets;
+    static calculateCrossoverPoint(earnedIncome, currentAssets, annualSavings, taxSettings, returnRate = this.calculateRealReturnRate(APP_CONFIG.FINANCIAL.INFLATION_RATE), schedule = this.getCompoundingSchedule(), streamIncome = []) {
+        const buckets = { ...currentAssets };
+        let taxableBasis = currentAssets.taxable;
         const projectionData = [];
         let crossoverYear = -1;
         
         // Check if already financially independent
-        const startingPassiveIncome = currentAssets * APP_CONFIG.FINANCIAL.WITHDRAWAL_RATE;
-        if (startingPassiveIncome >= earnedIncome) {
+        const startingPassiveIncome = this.calculatePassiveIncome(buckets, taxableBasis, taxSettings, streamIncome[0]);
+        if (startingPassiveIncome.total >= earnedIncome[0]) {
             crossoverYear = 0;
         }
         
         // Add year 0 (current state)
         projectionData.push({
             year: 0,
-            assets: currentAssets,
-            passiveIncome: startingPassiveIncome,
-            earnedIncome: earnedIncome
+            assets: buckets.taxable + buckets.taxDeferred + buckets.roth,
+            buckets: { ...buckets },
+            grossPassiveIncome: startingPassiveIncome.gross,
+            passiveIncomeByAccount: startingPassiveIncome.byAccount,
+            streamIncome: startingPassiveIncome.streamIncome,
+            passiveIncome: startingPassiveIncome.total,
+            earnedIncome: earnedIncome[0]
         });
         
         // Project up to 50 years
-        for (let year = 1; year <= 50; year++) {
-            // Grow assets and add savings
-            assets = assets * (1 + APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE) + annualSavings;
-            const passiveIncome = assets * APP_CONFIG.FINANCIAL.WITHDRAWAL_RATE;
+        for (let year = 1; year <= APP_CONFIG.FINANCIAL.CROSSOVER_YEARS; year++) {
+            // Grow each account along with that year's savings
+            const savings = annualSavings[year];
+            const yearReturn = this.getReturnForYear(returnRate, year);
+            taxableBasis = this.applyAssetChange(buckets, taxableBasis, savings.assetChange || 0);
+            Object.keys(buckets).forEach(type => {
+                buckets[type] = this.compoundYear(buckets[type], savings[type], yearReturn, schedule);
+            });
+            taxableBasis += savings.taxable;
+            const passive = this.calculatePassiveIncome(buckets, taxableBasis, taxSettings, streamIncome[year]);
+            const passiveIncome = passive.total;
             
             projectionData.push({
                 year: year,
-                assets: assets,
+                assets: buckets.taxable + buckets.taxDeferred + buckets.roth,
+                buckets: { ...buckets },
+                grossPassiveIncome: passive.gross,
+                passiveIncomeByAccount: passive.byAccount,
+                streamIncome: passive.streamIncome,
                 passiveIncome: passiveIncome,
-                earnedIncome: earnedIncome
+                earnedIncome: earnedIncome[year]
             });
             
             // Check for crossover
-            if (passiveIncome >= earnedIncome && crossoverYear === -1) {
+            if (passiveIncome >= earnedIncome[year] && crossoverYear === -1) {
                 crossoverYear = year;
             }
         }
@@ -1095,26 +4997,156 @@ class FinancialCalculator {
     }
     
     /**
-     * Calculate all crossover scenarios
+     * Get the nominal raise applied at the start of a given year
+     * @param {number} year - Years from today (1 = next year)
+     * @param {Object} inputs - User input values
+     * @returns {number|null} Nominal raise, or null when pay keeps pace with inflation
+     */
+    static getRaiseRate(year, inputs) {
+        if (inputs.salaryGrowthMode === 'flat') {
+            return inputs.salaryGrowthRate || 0;
+        }
+        
+        if (inputs.salaryGrowthMode === 'schedule' && Array.isArray(inputs.salaryGrowthSchedule)) {
+            // Latest step at or before this year; no raise before the first step
+            const step = inputs.salaryGrowthSchedule
+                .filter(entry => entry.year <= year)
+                .pop();
+            return step ? step.rate : 0;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Project earned income year by year in today's dollars
+     * Raises are nominal, so only the part above inflation grows real pay.
+     * Taxes are recalculated through TaxCalculator for every year's pay.
+     * @param {Object} inputs - User input values
+     * @param {Object} calculations - Calculated values from calculate()
+     * @param {number} years - Number of years to project
+     * @returns {Array} Gross and after-tax income for years 0 through years
+     */
+    static calculateEarningsPath(inputs, calculations, years = APP_CONFIG.FINANCIAL.CROSSOVER_YEARS) {
+        const path = [{
+            year: 0,
+            grossIncome: calculations.grossIncome,
+            afterTaxIncome: calculations.afterTaxIncome
+        }];
+        let payFactor = 1;
+        
+        for (let year = 1; year <= years; year++) {
+            const raise = this.getRaiseRate(year, inputs);
+            if (raise !== null) {
+                payFactor *= (1 + raise) / (1 + calculations.inflationRate);
+            }
+            
+            // Pay that only keeps pace with inflation is unchanged in today's dollars
+            if (payFactor === 1) {
+                path.push({ ...path[0], year });
+                continue;
+            }
+            
+            const taxes = TaxCalculator.calculateTaxes({
+                ...inputs,
+                preTaxIncome: (inputs.preTaxIncome || 0) * payFactor,
+                selfEmploymentIncome: (inputs.selfEmploymentIncome || 0) * payFactor,
+                partner: inputs.partner && {
+                    ...inputs.partner,
+                    preTaxIncome: (inputs.partner.preTaxIncome || 0) * payFactor
+                },
+                stateIncomeTax: inputs.stateIncomeTax === '' || inputs.stateIncomeTax === undefined 
+                    ? inputs.stateIncomeTax 
+                    : inputs.stateIncomeTax * payFactor
+            });
+            
+            path.push({
+                year,
+                grossIncome: taxes.grossIncome,
+                afterTaxIncome: taxes.grossIncome - taxes.totalTax
+            });
+        }
+        
+        return path;
+    }
+    
+    /**
+     * Build the year-by-year earned income and savings used by the crossover analysis
+     * @param {Object} calculations - Calculated values from calculate()
+     * @param {Object} inputs - User input values
+     * @returns {Object} Earned income, worker and investor savings, stream income by year, and tax settings
+     */
+    static getCrossoverCashFlows(calculations, inputs) {
+        const earnedIncome = this.calculateEarningsPath(inputs, calculations)
+            .map(year => year.afterTaxIncome);
+        
+        return {
+            earnedIncome,
+            workerSavings: this.getSavingsPath(calculations.estimatedSaving, earnedIncome, calculations),
+            investorSavings: this.getSavingsPath(calculations.targetSaving, earnedIncome, calculations),
+            streamIncome: calculations.streamIncome,
+            taxSettings: {
+                filingStatus: inputs.filingStatus,
+                taxYear: inputs.taxYear,
+                stateOfResidence: inputs.stateOfResidence
+            }
+        };
+    }
+    
+    /**
+     * Build savings by account type for each year of the crossover analysis
+     * Savings are a fixed share of each year's after-tax income, less that year's debt
+     * payments and adjusted by that year's life events.
+     * @param {number} annualSaving - Saving out of today's after-tax income
+     * @param {Array} earnedIncome - After-tax earned income by year (index 0 = today)
      * @param {Object} calculations - Calculated values from calculate()
+     * @returns {Array} Savings by account type and assetChange for each year (index = year)
+     */
+    static getSavingsPath(annualSaving, earnedIncome, calculations) {
+        const debtPayments = calculations.debtPlan.annualPayments;
+        const lifeEvents = calculations.lifeEvents || [];
+        const savingsRate = calculations.afterTaxIncome > 0 
+            ? annualSaving / calculations.afterTaxIncome 
+            : 0;
+        
+        return earnedIncome.map((income, year) => this.applyLifeEvent(
+            this.applyDebtPayments(
+                this.splitSavings(income * savingsRate, calculations), 
+                year > 0 ? (debtPayments[year - 1] || 0) : 0
+            ), 
+            year > 0 ? lifeEvents[year - 1] : null
+        ));
+    }
+    
+    /**
+     * Calculate all crossover scenarios in today's dollars
+     * @param {Object} calculations - Calculated values from calculate()
+     * @param {Object} inputs - User input values (for withdrawal taxes)
      * @returns {Object} Crossover data for worker and investor paths
      */
-    static calculateAllCrossoverPoints(calculations) {
-        const afterTaxIncome = calculations.afterTaxIncome;
-        const currentAssets = calculations.wealthAccount;
+    static calculateAllCrossoverPoints(calculations, inputs) {
+        const cashFlows = this.getCrossoverCashFlows(calculations, inputs);
         
         // Worker path (estimated current behavior)
         const workerCrossover = this.calculateCrossoverPoint(
-            afterTaxIncome,
-            currentAssets,
-            calculations.estimatedSaving
+            cashFlows.earnedIncome,
+            calculations.wealthBuckets,
+            cashFlows.workerSavings,
+            cashFlows.taxSettings,
+            calculations.returnPath,
+            calculations.compoundingSchedule,
+            cashFlows.streamIncome
         );
         
         // Investor path (target behavior)
         const investorCrossover = this.calculateCrossoverPoint(
-            afterTaxIncome,
-            currentAssets,
-            calculations.targetSaving
+            cashFlows.earnedIncome,
+            calculations.wealthBuckets,
+            cashFlows.investorSavings,
+            cashFlows.taxSettings,
+            calculations.returnPath,
+            calculations.compoundingSchedule,
+            cashFlows.streamIncome
         );
         
         return {
@@ -1124,43 +5156,644 @@ class FinancialCalculator {
     }
     
     /**
-     * Calculate comprehensive asset endurance metrics
+     * Compare the projection and crossover with and without investment fees
+     * @param {Object} calculations - Calculated values from calculate()
+     * @param {Object} inputs - User input values (for the crossover cash flows)
+     * @param {Object} crossoverData - Crossover results after fees from calculateAllCrossoverPoints()
+     * @returns {Object|null} Asset base, dollars lost and crossover delay by path, or null when there are no fees
+     */
+    static calculateFeeImpact(calculations, inputs, crossoverData) {
+        if (calculations.annualFee <= 0) {
+            return null;
+        }
+        
+        const withoutFees = this.calculateAllCrossoverPoints(
+            { ...calculations, returnPath: calculations.grossReturnPath }, 
+            inputs
+        );
+        
+        const comparePath = (annualSaving, path) => {
+            const grossWealth = this.calculateFutureValue(
+                annualSaving, 
+                calculations.projectionYears, 
+                calculations.wealthAccount, 
+                calculations.grossReturnPath, 
+                calculations.compoundingSchedule, 
+                calculations.debtPlan.annualPayments, 
+                calculations.lifeEvents
+            );
+            const netWealth = this.calculateFutureValue(
+                annualSaving, 
+                calculations.projectionYears, 
+                calculations.wealthAccount, 
+                calculations.returnPath, 
+                calculations.compoundingSchedule, 
+                calculations.debtPlan.annualPayments, 
+                calculations.lifeEvents
+            );
+            const grossYears = withoutFees[path].years;
+            const netYears = crossoverData[path].years;
+            
+            return {
+                grossWealth,
+                netWealth,
+                lostToFees: grossWealth - netWealth,
+                grossCrossoverYears: grossYears,
+                netCrossoverYears: netYears,
+                // null when either path never crosses over within the search horizon
+                crossoverDelay: grossYears === -1 || netYears === -1 ? null : netYears - grossYears
+            };
+        };
+        
+        return {
+            annualFee: calculations.annualFee,
+            worker: comparePath(calculations.estimatedSaving, 'worker'),
+            investor: comparePath(calculations.targetSaving, 'investor')
+        };
+    }
+    
+    /**
+     * Find the Coast FI and Barista FI years on each crossover path
+     * Coast FI is the first year the assets alone, left to grow with no further saving,
+     * would cover earned income by the target year. The coasted portfolio pays out at the
+     * same after-tax rate as the projected portfolio in the target year. Barista FI is the
+     * first year passive income plus part-time pay covers earned income.
+     * @param {Object} calculations - Calculated values from calculate()
+     * @param {Object} inputs - User input values with age, coastTargetAge and partTimeIncome
+     * @param {Object} crossoverData - Crossover results from calculateAllCrossoverPoints()
+     * @returns {Object} Target year and age, part-time income and milestone years by path (-1 when not reached)
+     */
+    static calculateMilestones(calculations, inputs, crossoverData) {
+        const settings = APP_CONFIG.MILESTONES;
+        // Blank or missing fields fall back to the defaults
+        const isSet = (value) => value !== '' && value !== undefined;
+        const age = isSet(inputs.age) ? inputs.age : null;
+        
+        // Without an age (or past the default target age) coast for a fixed number of years
+        let targetAge = isSet(inputs.coastTargetAge) ? inputs.coastTargetAge : settings.DEFAULT_TARGET_AGE;
+        if (age === null || targetAge <= age) {
+            targetAge = age === null ? null : age + settings.DEFAULT_TARGET_YEARS;
+        }
+        const targetYear = Math.min(
+            age === null ? settings.DEFAULT_TARGET_YEARS : targetAge - age, 
+            APP_CONFIG.FINANCIAL.CROSSOVER_YEARS
+        );
+        const partTimeIncome = isSet(inputs.partTimeIncome) 
+            ? inputs.partTimeIncome 
+            : calculations.afterTaxIncome * settings.DEFAULT_PART_TIME_SHARE;
+        
+        const findMilestones = (projectionData) => {
+            const target = projectionData[targetYear];
+            const incomePerDollar = target.assets > 0 
+                ? (target.passiveIncome - target.streamIncome) / target.assets 
+                : 0;
+            
+            let coastYear = -1;
+            for (let year = 0; year <= targetYear && coastYear === -1; year++) {
+                let balance = projectionData[year].assets;
+                for (let growthYear = year + 1; growthYear <= targetYear; growthYear++) {
+                    balance = this.compoundYear(
+                        balance, 
+                        0, 
+                        this.getReturnForYear(calculations.returnPath, growthYear), 
+                        calculations.compoundingSchedule
+                    );
+                }
+                if (balance * incomePerDollar + target.streamIncome >= target.earnedIncome) {
+                    coastYear = year;
+                }
+            }
+            
+            return {
+                coastYear,
+                baristaYear: projectionData.findIndex(d => d.passiveIncome + partTimeIncome >= d.earnedIncome)
+            };
+        };
+        
+        return {
+            targetYear,
+            targetAge,
+            partTimeIncome,
+            worker: findMilestones(crossoverData.worker.projectionData),
+            investor: findMilestones(crossoverData.investor.projectionData)
+        };
+    }
+    
+    /**
+     * Solve for the annual saving that reaches a goal by a target year
+     * Bisects between saving nothing and saving all after-tax income. The independence
+     * goal is tested with calculateCrossoverPoint and the asset goal with the projection.
+     * @param {Object} calculations - Calculated values from calculate()
+     * @param {Object} inputs - User input values with goalType, goalYears and goalAmount
+     * @returns {Object|null} Required saving, spending cap and best case, or null when no goal is set
+     */
+    static solveSavingsGoal(calculations, inputs) {
+        if (!inputs.goalType || inputs.goalType === 'none') {
+            return null;
+        }
+        
+        const { goalType, goalYears, goalAmount } = inputs;
+        const maxSaving = Math.max(0, calculations.afterTaxIncome);
+        let outcome;
+        let meetsGoal;
+        
+        if (goalType === 'independence') {
+            // Crossover year for a given saving (-1 when never reached)
+            const cashFlows = this.getCrossoverCashFlows(calculations, inputs);
+            outcome = (annualSaving) => this.calculateCrossoverPoint(
+                cashFlows.earnedIncome,
+                calculations.wealthBuckets,
+                this.getSavingsPath(annualSaving, cashFlows.earnedIncome, calculations),
+                cashFlows.taxSettings,
+                calculations.returnPath,
+                calculations.compoundingSchedule,
+                cashFlows.streamIncome
+            ).years;
+            meetsGoal = (annualSaving) => {
+                const years = outcome(annualSaving);
+                return years !== -1 && years <= goalYears;
+            };
+        } else {
+            // Asset base at the target year for a given saving
+            outcome = (annualSaving) => this.calculateFutureValue(
+                annualSaving, 
+                goalYears, 
+                calculations.wealthAccount, 
+                calculations.returnPath, 
+                calculations.compoundingSchedule, 
+                calculations.debtPlan.annualPayments, 
+                calculations.lifeEvents
+            );
+            meetsGoal = (annualSaving) => outcome(annualSaving) >= goalAmount;
+        }
+        
+        const result = {
+            goalType,
+            goalYears,
+            goalAmount,
+            maxSaving,
+            bestOutcome: outcome(maxSaving),
+            achievable: meetsGoal(maxSaving),
+            requiredSaving: null,
+            requiredOutcome: null,
+            spendingCap: null,
+            savingsRate: null
+        };
+        if (!result.achievable) {
+            return result;
+        }
+        
+        // More saving never delays the goal, so bisect for the smallest saving that meets it
+        let low = 0;
+        let high = maxSaving;
+        if (meetsGoal(0)) {
+            high = 0;
+        }
+        for (let i = 0; i < APP_CONFIG.GOAL_SOLVER.MAX_ITERATIONS && high - low > APP_CONFIG.GOAL_SOLVER.TOLERANCE; i++) {
+            const mid = (low + high) / 2;
+            if (meetsGoal(mid)) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        
+        const requiredSaving = Math.min(maxSaving, Math.ceil(high));
+        result.requiredSaving = requiredSaving;
+        result.requiredOutcome = outcome(requiredSaving);
+        result.spendingCap = Math.round(maxSaving - requiredSaving);
+        result.savingsRate = maxSaving > 0 ? requiredSaving / maxSaving : 0;
+        
+        return result;
+    }
+    
+    /**
+     * Calculate comprehensive asset endurance metrics in today's dollars
      * @param {Object} calculations - Calculated values from calculate()
      * @returns {Object} Asset endurance metrics
      */
     static calculateAssetEnduranceMetrics(calculations) {
-        // Calculate 15-year projected wealth for both scenarios
-        const workerWealth15Yr = this.calculateFifteenYearValue(
+        const returnRate = calculations.returnPath;
+        const schedule = calculations.compoundingSchedule;
+        const strategy = calculations.withdrawalStrategy;
+        
+        // Spending from the future asset base starts where the glide path is at the horizon
+        const futureReturnRate = returnRate.slice(Math.min(calculations.projectionYears, returnRate.length - 1));
+        
+        // Calculate projected wealth at the horizon for both scenarios
+        const workerFutureWealth = this.calculateFutureValue(
             calculations.estimatedSaving, 
-            calculations.wealthAccount
+            calculations.projectionYears, 
+            calculations.wealthAccount, 
+            returnRate, 
+            schedule, 
+            calculations.debtPlan.annualPayments, 
+            calculations.lifeEvents
         );
-        const investorWealth15Yr = this.calculateFifteenYearValue(
+        const investorFutureWealth = this.calculateFutureValue(
             calculations.targetSaving, 
-            calculations.wealthAccount
+            calculations.projectionYears, 
+            calculations.wealthAccount, 
+            returnRate, 
+            schedule, 
+            calculations.debtPlan.annualPayments, 
+            calculations.lifeEvents
         );
         
         return {
             // Current asset endurance
             workerCurrentEndurance: this.calculateAssetEndurance(
                 calculations.estimatedSpending, 
-                calculations.wealthAccount
+                calculations.wealthAccount, 
+                0, 
+                returnRate, 
+                schedule, 
+                strategy
             ),
             investorCurrentEndurance: this.calculateAssetEndurance(
                 calculations.targetSpending, 
-                calculations.wealthAccount
+                calculations.wealthAccount, 
+                0, 
+                returnRate, 
+                schedule, 
+                strategy
             ),
-            // Future asset endurance (15 years)
+            // Future asset endurance (end of projection horizon)
             workerFutureEndurance: this.calculateAssetEndurance(
                 calculations.estimatedSpending, 
-                workerWealth15Yr
+                workerFutureWealth, 
+                0, 
+                futureReturnRate, 
+                schedule, 
+                strategy
             ),
             investorFutureEndurance: this.calculateAssetEndurance(
                 calculations.targetSpending, 
-                investorWealth15Yr
+                investorFutureWealth, 
+                0, 
+                futureReturnRate, 
+                schedule, 
+                strategy
             ),
-            // 15-year wealth values
-            workerWealth15Yr,
-            investorWealth15Yr
+            // Year-by-year drawdown of the investor's future asset base
+            drawdownSchedule: this.calculateWithdrawalSchedule(
+                calculations.targetSpending, 
+                investorFutureWealth, 
+                futureReturnRate, 
+                schedule, 
+                strategy
+            ),
+            // Wealth values at the horizon
+            workerFutureWealth,
+            investorFutureWealth
+        };
+    }
+    
+    /**
+     * Generate one path of real annual returns for a Monte Carlo run
+     * Each year's nominal return is drawn from a normal distribution centred on that
+     * year's expected return (so allocations and glide paths carry through), then
+     * deflated by inflation.
+     * @param {Function} random - Seeded random generator
+     * @param {number} years - Number of years in the path
+     * @param {Array} expectedReturns - Expected real returns by year before fees (last value holds)
+     * @param {number} volatility - Standard deviation of annual returns
+     * @param {number} inflationRate - Annual inflation rate
+     * @returns {Array} Real return for each year
+     */
+    static generateReturnPath(random, years, expectedReturns, volatility, inflationRate) {
+        return Array.from({ length: years }, (_, i) => {
+            const expectedReturn = (1 + this.getReturnForYear(expectedReturns, i + 1)) * (1 + inflationRate) - 1;
+            const nominalReturn = Math.max(
+                APP_CONFIG.MONTE_CARLO.MIN_ANNUAL_RETURN,
+                expectedReturn + volatility * UtilityFunctions.randomNormal(random)
+            );
+            return (1 + nominalReturn) / (1 + inflationRate) - 1;
+        });
+    }
+    
+    /**
+     * Check whether an asset base survives a drawdown on a return path
+     * Mirrors calculateAssetEndurance, with a different return each year, so fixed
+     * percentage and VPW plans must also keep spending at or above annualSpending.
+     * @param {number} annualSpending - Annual spending amount (first-year spending for variable strategies)
+     * @param {number} assetBase - Initial asset base
+     * @param {Array} returns - Real return for each year
+     * @param {number} startYear - Index of the first return to use
+     * @param {number} years - Number of years the assets must last
+     * @param {Object} schedule - Withdrawal schedule from getCompoundingSchedule()
+     * @param {Object} strategy - Withdrawal strategy settings (fixed dollar if omitted)
+     * @returns {boolean} True if the assets never run dry (or spending never falls short)
+     */
+    static simulateDrawdown(annualSpending, assetBase, returns, startYear, years, schedule = this.getCompoundingSchedule(), strategy = { type: 'fixedDollar' }) {
+        return this.calculateWithdrawalSchedule(
+            annualSpending, 
+            assetBase, 
+            returns.slice(startYear, startYear + years), 
+            schedule, 
+            strategy, 
+            years
+        ).yearsLasted === -1;
+    }
+    
+    /**
+     * Track the balance of an asset base through a drawdown on a return path
+     * Same timing as simulateDrawdown; the balance stays at zero once the assets run dry.
+     * @param {number} annualSpending - Annual spending amount (first-year spending for variable strategies)
+     * @param {number} assetBase - Initial asset base
+     * @param {Array} returns - Real return for each year
+     * @param {Object} schedule - Withdrawal schedule from getCompoundingSchedule()
+     * @param {Object} strategy - Withdrawal strategy settings (fixed dollar if omitted)
+     * @returns {Object} Balance at the start of each year (index 0 = today) and years lasted (-1 if never depleted)
+     */
+    static calculateDrawdownPath(annualSpending, assetBase, returns, schedule = this.getCompoundingSchedule(), strategy = { type: 'fixedDollar' }) {
+        const { rows, yearsLasted } = this.calculateWithdrawalSchedule(
+            annualSpending, assetBase, returns, schedule, strategy, returns.length
+        );
+        const balances = [assetBase, ...rows.map(row => row.endBalance)];
+        while (balances.length <= returns.length) {
+            balances.push(0);
+        }
+        
+        return { balances, yearsLasted: yearsLasted === -1 ? -1 : yearsLasted - 1 };
+    }
+    
+    /**
+     * Find the first crossover year on one return path
+     * Taxes are only worked out once gross withdrawals could cover earned income,
+     * which keeps thousands of runs fast.
+     * @param {Array} earnedIncome - After-tax earned income by year
+     * @param {Object} currentAssets - Starting balance by account type
+     * @param {Array} annualSavings - Savings by account type for each year
+     * @param {Object} taxSettings - Filing status, tax year and state of residence
+     * @param {Array} returns - Real return for each year
+     * @param {number} years - Number of years to search (defaults to the crossover horizon)
+     * @param {Object} schedule - Contribution schedule from getCompoundingSchedule()
+     * @param {Array} streamIncome - Social Security and pension income by year (index = year)
+     * @returns {Object} Crossover year (-1 if never) and total assets, balances and taxable basis by year
+     */
+    static simulateCrossover(earnedIncome, currentAssets, annualSavings, taxSettings, returns, 
+                             years = APP_CONFIG.FINANCIAL.CROSSOVER_YEARS, schedule = this.getCompoundingSchedule(), streamIncome = []) {
+        const buckets = { ...currentAssets };
+        let taxableBasis = currentAssets.taxable;
+        let crossoverYear = -1;
+        const states = [];
+        
+        for (let year = 0; year <= years; year++) {
+            if (year > 0) {
+                taxableBasis = this.applyAssetChange(buckets, taxableBasis, annualSavings[year].assetChange || 0);
+                Object.keys(buckets).forEach(type => {
+                    buckets[type] = this.compoundYear(buckets[type], annualSavings[year][type], returns[year - 1], schedule);
+                });
+                taxableBasis += annualSavings[year].taxable;
+            }
+            
+            const total = buckets.taxable + buckets.taxDeferred + buckets.roth;
+            states.push({ total, buckets: { ...buckets }, taxableBasis });
+            
+            const streams = streamIncome[year] || { gross: 0, taxable: 0, socialSecurity: 0 };
+            if (crossoverYear === -1 && 
+                total * APP_CONFIG.FINANCIAL.WITHDRAWAL_RATE + streams.gross >= earnedIncome[year] && 
+                this.calculatePassiveIncome(buckets, taxableBasis, taxSettings, streams).total >= earnedIncome[year]) {
+                crossoverYear = year;
+            }
+        }
+        
+        return { years: crossoverYear, states };
+    }
+    
+    /**
+     * Run a Monte Carlo simulation of the projection, crossover and endurance analysis
+     * Every run uses one seeded return path for all three so results reconcile.
+     * Paths run in batches that hand control back to the browser, so the page stays responsive.
+     * @param {Object} calculations - Calculated values from calculate()
+     * @param {Object} inputs - User input values (volatility and seed; returns follow calculations.returnPath)
+     * @param {Function} onProgress - Called with the share of paths finished after each batch
+     * @returns {Promise<Object>} Percentile bands, crossover probabilities and endurance success rates
+     */
+    static async runMonteCarlo(calculations, inputs, onProgress = () => {}) {
+        const settings = APP_CONFIG.MONTE_CARLO;
+        const projectionYears = calculations.projectionYears;
+        const crossoverYears = APP_CONFIG.FINANCIAL.CROSSOVER_YEARS;
+        const pathLength = Math.max(crossoverYears, projectionYears + settings.ENDURANCE_YEARS);
+        const random = UtilityFunctions.createRandomGenerator(inputs.randomSeed);
+        const cashFlows = this.getCrossoverCashFlows(calculations, inputs);
+        const schedule = calculations.compoundingSchedule;
+        // VPW plans each payment on the expected return, not the year's random draw
+        const strategy = { ...calculations.withdrawalStrategy, plannedReturn: calculations.realReturnRate };
+        const debtPayments = calculations.debtPlan.annualPayments;
+        const lifeEvents = calculations.lifeEvents;
+        
+        const projectionTotals = Array.from({ length: projectionYears }, () => []);
+        const investorRuns = [];
+        const crossoverCounts = {
+            worker: Array(crossoverYears + 1).fill(0),
+            investor: Array(crossoverYears + 1).fill(0)
+        };
+        const survivors = { workerCurrent: 0, investorCurrent: 0, workerFuture: 0, investorFuture: 0 };
+        
+        for (let run = 0; run < settings.SIMULATIONS; run++) {
+            if (run > 0 && run % settings.BATCH_SIZE === 0) {
+                onProgress(run / settings.SIMULATIONS);
+                await UtilityFunctions.yieldToBrowser();
+            }
+            
+            const returns = this.applyFees(this.generateReturnPath(
+                random, 
+                pathLength, 
+                calculations.grossReturnPath, 
+                inputs.returnVolatility, 
+                calculations.inflationRate
+            ), calculations.annualFee);
+            
+            // Projection (same engine as calculateProjection)
+            let workerBalance = calculations.wealthAccount;
+            let investorBalance = calculations.wealthAccount;
+            for (let year = 0; year < projectionYears; year++) {
+                const debtPayment = debtPayments[year] || 0;
+                workerBalance = this.projectYear(
+                    workerBalance, calculations.estimatedSaving, returns[year], schedule, debtPayment, lifeEvents[year]
+                );
+                investorBalance = this.projectYear(
+                    investorBalance, calculations.targetSaving, returns[year], schedule, debtPayment, lifeEvents[year]
+                );
+                projectionTotals[year].push(investorBalance);
+            }
+            
+            // Endurance of today's assets and of the projected assets
+            const enduranceYears = settings.ENDURANCE_YEARS;
+            if (this.simulateDrawdown(calculations.estimatedSpending, calculations.wealthAccount, returns, 0, enduranceYears, schedule, strategy)) {
+                survivors.workerCurrent++;
+            }
+            if (this.simulateDrawdown(calculations.targetSpending, calculations.wealthAccount, returns, 0, enduranceYears, schedule, strategy)) {
+                survivors.investorCurrent++;
+            }
+            if (this.simulateDrawdown(calculations.estimatedSpending, workerBalance, returns, projectionYears, enduranceYears, schedule, strategy)) {
+                survivors.workerFuture++;
+            }
+            if (this.simulateDrawdown(calculations.targetSpending, investorBalance, returns, projectionYears, enduranceYears, schedule, strategy)) {
+                survivors.investorFuture++;
+            }
+            
+            // Crossover year for each path
+            const worker = this.simulateCrossover(
+                cashFlows.earnedIncome, calculations.wealthBuckets, cashFlows.workerSavings, cashFlows.taxSettings, returns, 
+                crossoverYears, schedule, cashFlows.streamIncome
+            );
+            const investor = this.simulateCrossover(
+                cashFlows.earnedIncome, calculations.wealthBuckets, cashFlows.investorSavings, cashFlows.taxSettings, returns, 
+                crossoverYears, schedule, cashFlows.streamIncome
+            );
+            if (worker.years !== -1) crossoverCounts.worker[worker.years]++;
+            if (investor.years !== -1) crossoverCounts.investor[investor.years]++;
+            investorRuns.push(investor.states);
+        }
+        onProgress(1);
+        
+        // Cumulative chance of having crossed over by each year
+        const toProbability = (counts) => {
+            let crossed = 0;
+            return counts.map(count => {
+                crossed += count;
+                return crossed / settings.SIMULATIONS;
+            });
+        };
+        
+        // Projection bands straight from the sorted balances
+        const projectionBands = {};
+        settings.PERCENTILES.forEach(p => {
+            projectionBands[p] = projectionTotals.map(values => 
+                UtilityFunctions.percentile([...values].sort((a, b) => a - b), p)
+            );
+        });
+        
+        // Passive income bands: take the run at each percentile of assets and work out its after-tax income
+        const crossoverBands = {};
+        settings.PERCENTILES.forEach(p => {
+            crossoverBands[p] = [];
+        });
+        for (let year = 0; year <= crossoverYears; year++) {
+            const ranked = investorRuns.map(states => states[year]).sort((a, b) => a.total - b.total);
+            settings.PERCENTILES.forEach(p => {
+                const state = UtilityFunctions.percentile(ranked, p);
+                crossoverBands[p].push(
+                    this.calculatePassiveIncome(state.buckets, state.taxableBasis, cashFlows.taxSettings, cashFlows.streamIncome[year]).total
+                );
+            });
+        }
+        
+        return {
+            simulations: settings.SIMULATIONS,
+            projectionBands,
+            crossoverBands,
+            crossoverProbability: {
+                worker: toProbability(crossoverCounts.worker),
+                investor: toProbability(crossoverCounts.investor)
+            },
+            enduranceSuccess: {
+                workerCurrent: survivors.workerCurrent / settings.SIMULATIONS,
+                investorCurrent: survivors.investorCurrent / settings.SIMULATIONS,
+                workerFuture: survivors.workerFuture / settings.SIMULATIONS,
+                investorFuture: survivors.investorFuture / settings.SIMULATIONS
+            }
+        };
+    }
+    
+    /**
+     * Convert the bundled historical dataset into real portfolio returns
+     * @param {number} stockAllocation - Share of the portfolio held in stocks (rest in bonds)
+     * @returns {Array} Calendar year and real portfolio return for each historical year
+     */
+    static getHistoricalReturns(stockAllocation = APP_CONFIG.HISTORICAL_RETURNS.STOCK_ALLOCATION) {
+        return APP_CONFIG.HISTORICAL_RETURNS.DATA.map(([year, stocks, bonds, inflation]) => {
+            const nominalReturn = stockAllocation * stocks + (1 - stockAllocation) * bonds;
+            return {
+                year,
+                realReturn: (1 + nominalReturn) / (1 + inflation) - 1
+            };
+        });
+    }
+    
+    /**
+     * Backtest endurance and crossover against every historical start year
+     * Each sequence replays real market returns in order, starting from one calendar year.
+     * Only start years with a full horizon of data are counted.
+     * @param {Object} calculations - Calculated values from calculate()
+     * @param {Object} inputs - User input values (for the crossover cash flows)
+     * @returns {Object} Stock share tested, success rates, start year range and worst/median/best sequences
+     */
+    static runHistoricalBacktest(calculations, inputs) {
+        const horizon = APP_CONFIG.HISTORICAL_RETURNS.HORIZON_YEARS;
+        // Backtest the user's starting stock share, with bonds and cash on the historical bond returns
+        const stockAllocation = calculations.allocation 
+            ? calculations.allocation.stocks 
+            : APP_CONFIG.HISTORICAL_RETURNS.STOCK_ALLOCATION;
+        const history = this.getHistoricalReturns(stockAllocation);
+        const cashFlows = this.getCrossoverCashFlows(calculations, inputs);
+        const endurance = this.calculateAssetEnduranceMetrics(calculations);
+        const schedule = calculations.compoundingSchedule;
+        // VPW plans each payment on the expected return, not the historical one
+        const strategy = { ...calculations.withdrawalStrategy, plannedReturn: calculations.realReturnRate };
+        
+        const sequences = [];
+        for (let start = 0; start + horizon <= history.length; start++) {
+            const returns = this.applyFees(
+                history.slice(start, start + horizon).map(year => year.realReturn), 
+                calculations.annualFee
+            );
+            
+            sequences.push({
+                startYear: history[start].year,
+                workerCurrent: this.simulateDrawdown(calculations.estimatedSpending, calculations.wealthAccount, returns, 0, horizon, schedule, strategy),
+                investorCurrent: this.simulateDrawdown(calculations.targetSpending, calculations.wealthAccount, returns, 0, horizon, schedule, strategy),
+                workerFuture: this.simulateDrawdown(calculations.estimatedSpending, endurance.workerFutureWealth, returns, 0, horizon, schedule, strategy),
+                investorFuture: this.simulateDrawdown(calculations.targetSpending, endurance.investorFutureWealth, returns, 0, horizon, schedule, strategy),
+                workerCrossover: this.simulateCrossover(
+                    cashFlows.earnedIncome, calculations.wealthBuckets, cashFlows.workerSavings, cashFlows.taxSettings, returns, horizon, schedule, 
+                    cashFlows.streamIncome
+                ).years,
+                investorCrossover: this.simulateCrossover(
+                    cashFlows.earnedIncome, calculations.wealthBuckets, cashFlows.investorSavings, cashFlows.taxSettings, returns, horizon, schedule, 
+                    cashFlows.streamIncome
+                ).years,
+                // Investor spending from the future asset base, charted for the worst/median/best years
+                drawdown: this.calculateDrawdownPath(calculations.targetSpending, endurance.investorFutureWealth, returns, schedule, strategy)
+            });
+        }
+        
+        const successRate = (key, test) => 
+            sequences.filter(sequence => test(sequence[key])).length / sequences.length;
+        const survived = (result) => result;
+        const crossedOver = (years) => years !== -1;
+        
+        // Rank sequences by how long the money lasted, then by what was left
+        const lasted = (sequence) => sequence.drawdown.yearsLasted === -1 ? horizon : sequence.drawdown.yearsLasted;
+        const ranked = [...sequences].sort((a, b) => 
+            lasted(a) - lasted(b) || a.drawdown.balances[horizon] - b.drawdown.balances[horizon]
+        );
+        const toCase = (sequence) => ({
+            startYear: sequence.startYear,
+            yearsLasted: sequence.drawdown.yearsLasted,
+            balances: sequence.drawdown.balances
+        });
+        
+        return {
+            horizon,
+            stockAllocation,
+            sequenceCount: sequences.length,
+            firstStartYear: sequences[0].startYear,
+            lastStartYear: sequences[sequences.length - 1].startYear,
+            successRates: {
+                workerCurrent: successRate('workerCurrent', survived),
+                investorCurrent: successRate('investorCurrent', survived),
+                workerFuture: successRate('workerFuture', survived),
+                investorFuture: successRate('investorFuture', survived),
+                workerCrossover: successRate('workerCrossover', crossedOver),
+                investorCrossover: successRate('investorCrossover', crossedOver)
+            },
+            worst: toCase(ranked[0]),
+            median: toCase(UtilityFunctions.percentile(ranked, 0.5)),
+            best: toCase(ranked[ranked.length - 1])
         };
     }
 }
@@ -1198,6 +5831,8 @@ class UIController {
         
         // Update all display sections
         this.updateSummaryTable();
+        this.updateBracketBreakdown();
+        this.updateEstimatedPayments();
         this.updateMonthsWorked();
         this.updateTaxAnalysisTable();
     }
@@ -1225,33 +5860,135 @@ class UIController {
     static updateSummaryTable() {
         const { userInputs, calculations } = appState;
         
-        // Ensure wealth displays as 0 if empty
-        const wealthAccount = userInputs.wealthAccount === '' ? 0 : userInputs.wealthAccount;
-        
+        const projectedLabel = TaxCalculator.isProjectedYear(userInputs.taxYear) ? ' (projected)' : '';
+        document.getElementById('summaryTaxYear').textContent = 
+            `${userInputs.taxYear} Tax Year${projectedLabel}`;
+        // Household W-2 income includes a partner's wages in two-earner mode
         document.getElementById('summaryPreTax').textContent = 
-            UtilityFunctions.formatCurrency(userInputs.preTaxIncome);
+            UtilityFunctions.formatCurrency(calculations.grossIncome - userInputs.selfEmploymentIncome);
+        document.getElementById('summarySelfEmployment').textContent = 
+            UtilityFunctions.formatCurrency(userInputs.selfEmploymentIncome);
+        document.getElementById('summaryGrossIncome').textContent = 
+            UtilityFunctions.formatCurrency(calculations.grossIncome);
         document.getElementById('summaryWealth').textContent = 
-            UtilityFunctions.formatCurrency(wealthAccount);
+            UtilityFunctions.formatCurrency(calculations.wealthAccount);
+        document.getElementById('summaryPreTaxContributions').textContent = 
+            UtilityFunctions.formatCurrency(calculations.preTaxContributions);
+        document.getElementById('summaryPreTaxSavings').textContent = 
+            UtilityFunctions.formatCurrency(calculations.preTaxTaxSavings);
+        document.getElementById('summaryDeduction').textContent = 
+            UtilityFunctions.formatCurrency(calculations.deduction);
+        document.getElementById('summaryTaxableIncome').textContent = 
+            UtilityFunctions.formatCurrency(calculations.taxableIncome);
+        document.getElementById('summaryFedTaxBeforeCredits').textContent = 
+            UtilityFunctions.formatCurrency(calculations.federalTaxBeforeCredits);
+        document.getElementById('summaryTaxCredits').textContent = 
+            calculations.taxCredits > 0 
+                ? `-${UtilityFunctions.formatCurrency(calculations.taxCredits)}` 
+                : UtilityFunctions.formatCurrency(0);
         document.getElementById('summaryFedTax').textContent = 
             UtilityFunctions.formatCurrency(calculations.federalTax);
+        document.getElementById('summaryPayrollTax').textContent = 
+            UtilityFunctions.formatCurrency(calculations.payrollTax);
+        document.getElementById('summarySelfEmploymentTax').textContent = 
+            UtilityFunctions.formatCurrency(calculations.selfEmploymentTax);
+        document.getElementById('summaryQBIDeduction').textContent = 
+            UtilityFunctions.formatCurrency(calculations.qbiDeduction);
         document.getElementById('summaryStateTax').textContent = 
-            UtilityFunctions.formatCurrency(userInputs.stateIncomeTax);
+            UtilityFunctions.formatCurrency(calculations.stateIncomeTax);
         document.getElementById('summaryTotalTax').textContent = 
             UtilityFunctions.formatCurrency(calculations.totalTax);
         document.getElementById('summaryPostTax').textContent = 
             UtilityFunctions.formatCurrency(calculations.afterTaxIncome);
         
+        // Each partner's gross and after-tax share in two-earner mode
+        const earners = calculations.earnerShares;
+        document.querySelectorAll('.partner-share-row').forEach(row => {
+            row.classList.toggle('hidden', !earners);
+        });
+        if (earners) {
+            [['primary', 'summaryPrimaryShare'], ['partner', 'summaryPartnerShare']].forEach(([earner, id]) => {
+                const share = earners[earner];
+                const percent = calculations.afterTaxIncome > 0 
+                    ? (share.afterTaxIncome / calculations.afterTaxIncome * 100).toFixed(0) 
+                    : '0';
+                document.getElementById(id).textContent = 
+                    `${UtilityFunctions.formatCurrency(share.grossIncome)} gross / ` + 
+                    `${UtilityFunctions.formatCurrency(share.afterTaxIncome)} after tax (${percent}%)`;
+            });
+        }
+        
         document.getElementById('incomeSummaryTable').classList.remove('hidden');
     }
     
+    /**
+     * Update federal tax bracket breakdown table
+     */
+    static updateBracketBreakdown() {
+        const { userInputs, calculations } = appState;
+        const breakdown = calculations.federalBreakdown;
+        const tableBody = document.getElementById('bracketBreakdownBody');
+        if (!breakdown || !tableBody) return;
+        
+        // Only brackets that hold part of the user's income are listed
+        tableBody.innerHTML = breakdown.brackets
+            .filter(bracket => bracket.taxableAmount > 0)
+            .map(bracket => {
+                const range = bracket.upperBound === Infinity 
+                    ? `Over ${UtilityFunctions.formatCurrency(bracket.lowerBound)}` 
+                    : `${UtilityFunctions.formatCurrency(bracket.lowerBound)} – ${UtilityFunctions.formatCurrency(bracket.upperBound)}`;
+                return `<tr>
+                    <td>${UtilityFunctions.formatPercentage(bracket.rate)}</td>
+                    <td>${range}</td>
+                    <td>${UtilityFunctions.formatCurrency(bracket.taxableAmount)}</td>
+                    <td>${UtilityFunctions.formatCurrency(bracket.tax)}</td>
+                </tr>`;
+            })
+            .join('');
+        
+        document.getElementById('bracketMarginalRate').textContent = 
+            UtilityFunctions.formatPercentage(breakdown.marginalRate);
+        document.getElementById('bracketEffectiveRate').textContent = 
+            `${(breakdown.effectiveRate * 100).toFixed(1)}% of taxable income · ` + 
+            `${(TaxCalculator.calculateEffectiveRate(breakdown.totalTax, calculations.grossIncome) * 100).toFixed(1)}% of gross income`;
+        
+        document.getElementById('bracketBreakdownTable').classList.remove('hidden');
+    }
+    
+    /**
+     * Update quarterly estimated payment plan for self-employment income
+     */
+    static updateEstimatedPayments() {
+        const { userInputs, calculations } = appState;
+        const table = document.getElementById('estimatedPaymentsTable');
+        const tableBody = document.getElementById('estimatedPaymentsBody');
+        if (!table || !tableBody) return;
+        
+        // Only relevant when there is 1099 income without withholding
+        if (!userInputs.selfEmploymentIncome) {
+            table.classList.add('hidden');
+            return;
+        }
+        
+        tableBody.innerHTML = calculations.estimatedPayments
+            .map(payment => `<tr>
+                <td>${payment.label} · ${payment.dueDate}</td>
+                <td>${UtilityFunctions.formatCurrency(payment.federal)}</td>
+                <td>${UtilityFunctions.formatCurrency(payment.state)}</td>
+            </tr>`)
+            .join('');
+        
+        table.classList.remove('hidden');
+    }
+    
     /**
      * Update months worked for taxes visualization
      */
     static updateMonthsWorked() {
         const { userInputs, calculations } = appState;
         
-        // Calculate tax burden as portion of year
-        const taxRate = calculations.totalTax / userInputs.preTaxIncome;
+        // Calculate tax burden as portion of year (refundable credits can make it negative)
+        const taxRate = Math.max(0, calculations.totalTax) / calculations.grossIncome;
         const monthsWorked = Math.round(taxRate * 12 * 10) / 10;
         const fullMonthsWorked = Math.floor(monthsWorked);
         
@@ -1284,41 +6021,68 @@ class UIController {
     }
     
     /**
-     * Update 15-year tax analysis comparison table
+     * Update tax analysis comparison table over the projection horizon
      */
     static updateTaxAnalysisTable() {
         const { userInputs, calculations } = appState;
+        const years = calculations.projectionYears;
         
         // Worker calculations (W2 income)
-        const workerGrossIncome15 = userInputs.preTaxIncome * 15;
-        const workerTaxImpact = calculations.totalTax * 15;
-        const workerNetIncome15 = calculations.afterTaxIncome * 15;
+        const workerGrossIncomeTotal = calculations.grossIncome * years;
+        const workerTaxImpact = calculations.totalTax * years;
+        const workerNetIncomeTotal = calculations.afterTaxIncome * years;
         
         // Investor calculations (capital gains)
-        const investorWealth15Yr = FinancialCalculator.calculateFifteenYearValue(
+        const debtPayments = calculations.debtPlan.annualPayments;
+        const lifeEvents = calculations.lifeEvents;
+        const investorFutureWealth = FinancialCalculator.calculateFutureValue(
             calculations.targetSaving, 
-            calculations.wealthAccount
+            years, 
+            calculations.wealthAccount, 
+            calculations.returnPath, 
+            calculations.compoundingSchedule, 
+            debtPayments, 
+            lifeEvents
         );
         
-        // Calculate gains (not including principal)
-        const totalContributions = calculations.wealthAccount + (calculations.targetSaving * 15);
-        const investorIncomeGains = investorWealth15Yr - totalContributions;
-        
-        // Capital gains tax
-        const investorGrossIncome15 = investorIncomeGains;
-        const investorTaxImpact = investorIncomeGains * APP_CONFIG.FINANCIAL.CAPITAL_GAINS_TAX_RATE;
-        const investorNetIncome15 = investorIncomeGains * (1 - APP_CONFIG.FINANCIAL.CAPITAL_GAINS_TAX_RATE);
+        // Calculate gains (not including principal, savings that went to debt or life-event flows)
+        let totalContributions = calculations.wealthAccount;
+        for (let year = 0; year < years; year++) {
+            // Same cash flows as FinancialCalculator.projectYear
+            let invested = Math.max(0, calculations.targetSaving - (debtPayments[year] || 0));
+            let assetChange = 0;
+            if (lifeEvents[year]) {
+                invested += lifeEvents[year].saving;
+                assetChange = lifeEvents[year].assets + Math.min(0, invested);
+                invested = Math.max(0, invested);
+            }
+            totalContributions += invested + assetChange;
+        }
+        const investorIncomeGains = investorFutureWealth - totalContributions;
+        
+        // Capital gains tax: gains realized evenly each year, stacked on ordinary income
+        const annualGains = Math.max(0, investorIncomeGains) / years;
+        const annualGainsTax = TaxCalculator.calculateCapitalGainsTax(
+            annualGains,
+            calculations.taxableIncome,
+            calculations.adjustedGrossIncome,
+            userInputs.filingStatus,
+            userInputs.taxYear
+        );
+        const investorGrossIncomeTotal = investorIncomeGains;
+        const investorTaxImpact = annualGainsTax.total * years;
+        const investorNetIncomeTotal = investorIncomeGains - investorTaxImpact;
         
         // Calculate effective rates
-        const workerTaxRate = (calculations.totalTax / userInputs.preTaxIncome * 100).toFixed(1);
-        const investorTaxRate = "20.0"; // Fixed capital gains rate
+        const workerTaxRate = (calculations.totalTax / calculations.grossIncome * 100).toFixed(1);
+        const investorTaxRate = (annualGainsTax.effectiveRate * 100).toFixed(1);
         
         // Update gross income row
-        document.getElementById('workerGrossIncome15').textContent = 
-            UtilityFunctions.formatCurrency(workerGrossIncome15);
-        document.getElementById('investorGrossIncome15').textContent = 
-            UtilityFunctions.formatCurrency(investorGrossIncome15);
-        const grossDiff = investorGrossIncome15 - workerGrossIncome15;
+        document.getElementById('workerGrossIncomeTotal').textContent = 
+            UtilityFunctions.formatCurrency(workerGrossIncomeTotal);
+        document.getElementById('investorGrossIncomeTotal').textContent = 
+            UtilityFunctions.formatCurrency(investorGrossIncomeTotal);
+        const grossDiff = investorGrossIncomeTotal - workerGrossIncomeTotal;
         document.getElementById('grossIncomeDifference').textContent = 
             UtilityFunctions.formatCurrency(Math.abs(grossDiff));
         document.getElementById('grossIncomeDifference').className = 
@@ -1336,11 +6100,11 @@ class UIController {
             taxDiff <= 0 ? 'difference-column positive' : 'difference-column negative';
         
         // Update net income row
-        document.getElementById('workerNetIncome15').textContent = 
-            UtilityFunctions.formatCurrency(workerNetIncome15);
-        document.getElementById('investorNetIncome15').textContent = 
-            UtilityFunctions.formatCurrency(investorNetIncome15);
-        const netDiff = investorNetIncome15 - workerNetIncome15;
+        document.getElementById('workerNetIncomeTotal').textContent = 
+            UtilityFunctions.formatCurrency(workerNetIncomeTotal);
+        document.getElementById('investorNetIncomeTotal').textContent = 
+            UtilityFunctions.formatCurrency(investorNetIncomeTotal);
+        const netDiff = investorNetIncomeTotal - workerNetIncomeTotal;
         document.getElementById('netIncomeDifference').textContent = 
             UtilityFunctions.formatCurrency(Math.abs(netDiff));
         document.getElementById('netIncomeDifference').className = 
@@ -1355,8 +6119,8 @@ class UIController {
             rateDiff <= 0 ? 'difference-column positive' : 'difference-column negative';
         
         // Update years worked for taxes
-        const workerYearsForTaxes = (parseFloat(workerTaxRate) / 100 * 15).toFixed(1);
-        const investorYearsForTaxes = "3.0"; // 20% * 15 years = 3 years
+        const workerYearsForTaxes = (parseFloat(workerTaxRate) / 100 * years).toFixed(1);
+        const investorYearsForTaxes = (parseFloat(investorTaxRate) / 100 * years).toFixed(1);
         
         document.getElementById('workerYearsForTaxes').textContent = `${workerYearsForTaxes} years`;
         document.getElementById('investorYearsForTaxes').textContent = `${investorYearsForTaxes} years`;
@@ -1373,7 +6137,7 @@ class UIController {
      * Update all chart visualizations
      */
     static updateCharts() {
-        const { userInputs, calculations, charts } = appState;
+        const { calculations, charts } = appState;
         
         // Destroy existing charts
         Object.entries(charts).forEach(([key, chart]) => {
@@ -1390,10 +6154,23 @@ class UIController {
         const incomeCtx = document.getElementById('incomeChart').getContext('2d');
         appState.charts.income = ChartManager.createIncomeChart(incomeCtx, {
             afterTaxIncome: calculations.afterTaxIncome,
+            preTaxTaxSavings: calculations.preTaxTaxSavings,
             federalTax: calculations.federalTax,
-            stateIncomeTax: userInputs.stateIncomeTax
+            payrollTax: calculations.payrollTax + calculations.selfEmploymentTax,
+            stateIncomeTax: calculations.stateIncomeTax,
+            earnerShares: calculations.earnerShares
         });
         
+        // Create federal bracket breakdown chart
+        const bracketCtx = document.getElementById('bracketChart');
+        if (bracketCtx && calculations.federalBreakdown) {
+            document.getElementById('bracketChartWrapper').classList.remove('hidden');
+            appState.charts.brackets = ChartManager.createBracketChart(
+                bracketCtx.getContext('2d'),
+                calculations.federalBreakdown
+            );
+        }
+        
         // Create spending comparison chart
         const spendingCtx = document.getElementById('spendingChart');
         if (spendingCtx) {
@@ -1424,32 +6201,189 @@ class UIController {
         const slider = document.getElementById('savingsSlider');
         if (!slider) return;
         
-        // Configure slider
+        // Configure slider, starting at the savings goal when one is reachable
+        // (rounded up to a step, but never past the slider's max)
+        const step = Math.max(1000, Math.round(calculations.afterTaxIncome / 100));
+        const { goalData } = appState;
         slider.max = calculations.afterTaxIncome;
-        slider.step = Math.max(1000, Math.round(calculations.afterTaxIncome / 100));
-        slider.value = Math.round((calculations.estimatedSaving + calculations.targetSaving) / 2);
+        slider.step = step;
+        slider.value = goalData && goalData.achievable 
+            ? Math.min(calculations.afterTaxIncome, Math.ceil(goalData.requiredSaving / step) * step) 
+            : Math.round((calculations.estimatedSaving + calculations.targetSaving) / 2);
         
         // Calculate initial projections
         appState.projectionData = {
             current: FinancialCalculator.calculateProjection(
                 calculations.estimatedSaving, 
-                APP_CONFIG.FINANCIAL.PROJECTION_YEARS, 
-                calculations.wealthAccount
+                calculations.projectionYears, 
+                calculations.wealthAccount, 
+                calculations.returnPath, 
+                calculations.compoundingSchedule, 
+                calculations.debtPlan.annualPayments, 
+                calculations.lifeEvents
             ),
             target: FinancialCalculator.calculateProjection(
                 calculations.targetSaving, 
-                APP_CONFIG.FINANCIAL.PROJECTION_YEARS, 
-                calculations.wealthAccount
+                calculations.projectionYears, 
+                calculations.wealthAccount, 
+                calculations.returnPath, 
+                calculations.compoundingSchedule, 
+                calculations.debtPlan.annualPayments, 
+                calculations.lifeEvents
             ),
-            adjusted: FinancialCalculator.calculateProjection(
-                parseInt(slider.value), 
-                APP_CONFIG.FINANCIAL.PROJECTION_YEARS, 
-                calculations.wealthAccount
-            )
+            adjusted: [],
+            adjustedBuckets: []
+        };
+        this.setAdjustedProjection(parseInt(slider.value));
+        
+        this.updateProjectionStats();
+        this.updateAllocationSummary();
+        this.updateGoalSolver();
+        this.updateDebtPlan();
+        this.createProjectionChart();
+    }
+    
+    /**
+     * Describe the portfolio mix and blended return behind the projections
+     */
+    static updateAllocationSummary() {
+        const summary = document.getElementById('allocationSummary');
+        if (!summary) return;
+        
+        const { calculations } = appState;
+        const allocation = calculations.allocation;
+        if (!allocation) {
+            summary.classList.add('hidden');
+            return;
+        }
+        
+        // Nominal and after-inflation blended return for a year of the path
+        const describeReturn = (realReturn) => {
+            const nominalReturn = (1 + realReturn) * (1 + calculations.inflationRate) - 1;
+            return `${(nominalReturn * 100).toFixed(1)}% a year (${(realReturn * 100).toFixed(1)}% after inflation)`;
         };
+        const describeMix = (weights) => Object.keys(APP_CONFIG.ALLOCATION.ASSET_CLASSES)
+            .map(asset => `${Math.round(weights[asset] * 100)}% ${APP_CONFIG.ALLOCATION.ASSET_CLASSES[asset].label.toLowerCase()}`)
+            .join(' / ');
+        
+        const returnPath = calculations.returnPath;
+        let text = `Portfolio: ${describeMix(allocation)}, blended return ${describeReturn(returnPath[0])}`;
+        if (allocation.glideYears > 0) {
+            const finalYear = allocation.glideYears + 1;
+            text += `, gliding to ${describeMix(FinancialCalculator.getAllocationForYear(allocation, finalYear))} ` + 
+                `by year ${finalYear} at ${describeReturn(returnPath[returnPath.length - 1])}`;
+        }
+        summary.textContent = `${text}.`;
+        summary.classList.remove('hidden');
+    }
+    
+    /**
+     * Update the savings goal solver results
+     */
+    static updateGoalSolver() {
+        const container = document.getElementById('goalSolver');
+        if (!container) return;
+        
+        const { goalData } = appState;
+        if (!goalData) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const formatCurrency = UtilityFunctions.formatCurrency;
+        const isIndependence = goalData.goalType === 'independence';
+        const goal = isIndependence 
+            ? `financial independence within ${goalData.goalYears} years` 
+            : `${formatCurrency(goalData.goalAmount)} (today's dollars) after ${goalData.goalYears} years`;
+        
+        let summary;
+        if (!goalData.achievable) {
+            summary = goalData.maxSaving <= 0 
+                ? `Reaching ${goal} is not possible: there is no after-tax income left to save.` 
+                : `Reaching ${goal} is not possible on your after-tax income. Even saving all ` + 
+                  `${formatCurrency(goalData.maxSaving)} a year and spending nothing, `;
+            if (goalData.maxSaving > 0) {
+                if (isIndependence) {
+                    summary += goalData.bestOutcome === -1 
+                        ? `passive income would not overtake earned income within ${APP_CONFIG.FINANCIAL.CROSSOVER_YEARS} years.` 
+                        : `the earliest crossover is year ${goalData.bestOutcome}.`;
+                } else {
+                    summary += `your asset base would reach ${formatCurrency(goalData.bestOutcome)} after ${goalData.goalYears} years.`;
+                }
+                summary += ' Try a later target year or a smaller goal.';
+            }
+        } else if (goalData.requiredSaving === 0) {
+            summary = `You reach ${goal} without saving anything more.`;
+        } else {
+            summary = `To reach ${goal}, save ${formatCurrency(goalData.requiredSaving)} a year ` + 
+                `and keep spending under ${formatCurrency(goalData.spendingCap)}. The slider starts at this savings amount.`;
+        }
+        document.getElementById('goalSolverSummary').textContent = summary;
+        
+        const rows = goalData.achievable 
+            ? [
+                ['Required Annual Saving', formatCurrency(goalData.requiredSaving)],
+                ['Savings Rate (After-Tax Income)', `${(goalData.savingsRate * 100).toFixed(1)}%`],
+                ['Annual Spending Cap', formatCurrency(goalData.spendingCap)],
+                isIndependence 
+                    ? ['Crossover Year', goalData.requiredOutcome === 0 ? 'Now' : `Year ${goalData.requiredOutcome}`] 
+                    : [`Asset Base After ${goalData.goalYears} Years (Today's Dollars)`, formatCurrency(goalData.requiredOutcome)]
+            ] 
+            : [];
+        document.getElementById('goalSolverBody').innerHTML = rows.map(([label, value]) => `
+                <tr>
+                    <td>${label}</td>
+                    <td>${value}</td>
+                </tr>`).join('');
+        
+        container.classList.remove('hidden');
+    }
+    
+    /**
+     * Update the debt payoff plan table and savings split
+     */
+    static updateDebtPlan() {
+        const container = document.getElementById('debtPlan');
+        if (!container) return;
+        
+        const { calculations } = appState;
+        const plan = calculations.debtPlan;
+        if (plan.debts.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
         
-        this.updateProjectionStats();
-        this.createProjectionChart();
+        const maxPayoffYears = APP_CONFIG.DEBTS.MAX_PAYOFF_MONTHS / 12;
+        const formatPayoff = (months) => months === null 
+            ? `Not within ${maxPayoffYears} years` 
+            : UtilityFunctions.formatFutureMonth(months);
+        
+        document.getElementById('debtPlanBody').innerHTML = plan.debts.map(debt => `
+                <tr>
+                    <td>${UtilityFunctions.escapeHtml(debt.name)}</td>
+                    <td>${UtilityFunctions.formatCurrency(debt.balance)}</td>
+                    <td>${(debt.apr * 100).toFixed(2)}%</td>
+                    <td>${formatPayoff(debt.payoffMonth)}</td>
+                    <td>${UtilityFunctions.formatCurrency(debt.interestPaid)}</td>
+                </tr>`).join('');
+        
+        // Year-one split of the investor savings target
+        const firstYearDebt = plan.annualPayments[0] || 0;
+        const toDebt = Math.min(firstYearDebt, calculations.targetSaving);
+        const toInvesting = calculations.targetSaving - toDebt;
+        const strategy = APP_CONFIG.DEBTS.STRATEGIES[plan.strategy] || plan.strategy;
+        let summary = `Year 1 investor savings: ${UtilityFunctions.formatCurrency(toDebt)} to debt, ` + 
+            `${UtilityFunctions.formatCurrency(toInvesting)} to investing. `;
+        summary += plan.payoffMonth === null 
+            ? `Using ${strategy}, these payments do not clear every debt within ${maxPayoffYears} years.` 
+            : `Using ${strategy}, you are debt-free by ${formatPayoff(plan.payoffMonth)} after ` + 
+              `${UtilityFunctions.formatCurrency(plan.totalInterest)} of interest, and each cleared payment rolls into investing.`;
+        if (firstYearDebt > calculations.targetSaving) {
+            summary += ` Debt payments exceed your investor savings target, so nothing is invested until balances fall.`;
+        }
+        document.getElementById('debtPlanSummary').textContent = summary;
+        
+        container.classList.remove('hidden');
     }
     
     /**
@@ -1488,11 +6422,18 @@ class UIController {
         
         const projectedWealth = document.getElementById('projectedWealth');
         if (projectedWealth) {
-            const projectedValue = FinancialCalculator.calculateFifteenYearValue(
+            const projectedValue = FinancialCalculator.calculateFutureValue(
                 adjustedSavings, 
-                calculations.wealthAccount
+                calculations.projectionYears, 
+                calculations.wealthAccount, 
+                calculations.returnPath, 
+                calculations.compoundingSchedule, 
+                calculations.debtPlan.annualPayments, 
+                calculations.lifeEvents
+            );
+            projectedWealth.textContent = UtilityFunctions.formatCurrency(
+                this.toDisplayDollars(projectedValue, calculations.projectionYears)
             );
-            projectedWealth.textContent = UtilityFunctions.formatCurrency(projectedValue);
             projectedWealth.classList.remove('highlight');
             projectedWealth.classList.add('highlight-gray');
         }
@@ -1507,7 +6448,7 @@ class UIController {
         
         appState.charts.projection = ChartManager.createProjectionChart(
             ctx.getContext('2d'), 
-            appState.projectionData
+            this.getDisplayProjectionData()
         );
     }
     
@@ -1515,21 +6456,188 @@ class UIController {
      * Update projection chart with new data
      */
     static updateProjectionChart() {
-        const { calculations } = appState;
         const slider = document.getElementById('savingsSlider');
         const adjustedSavings = slider ? parseInt(slider.value) : 0;
         
         // Recalculate adjusted projection
-        appState.projectionData.adjusted = FinancialCalculator.calculateProjection(
-            adjustedSavings, 
-            APP_CONFIG.FINANCIAL.PROJECTION_YEARS, 
-            calculations.wealthAccount
-        );
-        appState.projectionData.adjustedSavings = adjustedSavings;
+        this.setAdjustedProjection(adjustedSavings);
         
         if (appState.charts.projection) {
-            ChartManager.updateProjectionChart(appState.charts.projection, appState.projectionData);
+            ChartManager.updateProjectionChart(appState.charts.projection, this.getDisplayProjectionData());
+        }
+    }
+    
+    /**
+     * Restate an amount from today's dollars into the selected dollar basis
+     * @param {number} amount - Amount in today's dollars
+     * @param {number} year - Years from today
+     * @returns {number} Amount in today's or future (nominal) dollars
+     */
+    static toDisplayDollars(amount, year) {
+        if (appState.dollarBasis === 'real') {
+            return amount;
         }
+        return amount * Math.pow(1 + appState.calculations.inflationRate, year);
+    }
+    
+    /**
+     * Restate Monte Carlo percentile bands into the selected dollar basis
+     * @param {Object} bands - Values by percentile
+     * @param {number} firstYear - Year of the first value (1 for projections, 0 for crossover)
+     * @returns {Object} Restated bands
+     */
+    static restateBands(bands, firstYear) {
+        const restated = {};
+        Object.keys(bands).forEach(percentile => {
+            restated[percentile] = bands[percentile].map((value, i) => 
+                this.toDisplayDollars(value, i + firstYear)
+            );
+        });
+        return restated;
+    }
+    
+    /**
+     * Describe the nominal return the projection grows at, net of fees
+     * A glide path shows its starting and ending return.
+     * @returns {string} Return such as "7.0% annual return" or "7.4% to 5.9% annual return after fees"
+     */
+    static getReturnLabel() {
+        const { calculations } = appState;
+        const toNominal = (realReturn) => 
+            (((1 + realReturn) * (1 + calculations.inflationRate) - 1) * 100).toFixed(1);
+        const first = toNominal(calculations.returnPath[0]);
+        const last = toNominal(calculations.returnPath[calculations.returnPath.length - 1]);
+        const rate = first === last ? `${first}%` : `${first}% to ${last}%`;
+        
+        return `${rate} annual return${calculations.annualFee > 0 ? ' after fees' : ''}`;
+    }
+    
+    /**
+     * Restate the projection series into the selected dollar basis
+     * @returns {Object} Projection data for ChartManager (index 0 is year 1)
+     */
+    static getDisplayProjectionData() {
+        const { projectionData } = appState;
+        const restate = (values) => values.map((value, i) => this.toDisplayDollars(value, i + 1));
+        
+        return {
+            current: restate(projectionData.current),
+            target: restate(projectionData.target),
+            adjusted: restate(projectionData.adjusted),
+            adjustedBuckets: projectionData.adjustedBuckets.map((year, i) => {
+                const restated = {};
+                Object.keys(year).forEach(type => {
+                    restated[type] = this.toDisplayDollars(year[type], i + 1);
+                });
+                return restated;
+            }),
+            adjustedSavings: projectionData.adjustedSavings,
+            bands: appState.monteCarloData 
+                ? this.restateBands(appState.monteCarloData.projectionBands, 1) 
+                : null,
+            dollarBasis: appState.dollarBasis,
+            inflationRate: appState.calculations.inflationRate,
+            returnLabel: this.getReturnLabel(),
+            projectionYears: appState.calculations.projectionYears,
+            markers: [
+                ...this.getDebtMarkers(), 
+                ...this.getLifeEventMarkers(appState.calculations.projectionYears, 1)
+            ]
+        };
+    }
+    
+    /**
+     * Build projection chart markers for the years debts are paid off
+     * @returns {Array} Markers with x-axis index, label and color
+     */
+    static getDebtMarkers() {
+        const { calculations } = appState;
+        const namesByYear = {};
+        
+        calculations.debtPlan.debts.forEach(debt => {
+            if (!debt.payoffMonth) return;
+            const year = Math.ceil(debt.payoffMonth / 12);
+            if (year > calculations.projectionYears) return;
+            namesByYear[year] = [...(namesByYear[year] || []), debt.name];
+        });
+        
+        return Object.entries(namesByYear).map(([year, names]) => ({
+            index: Number(year) - 1,
+            label: `${names.join(', ')} paid off`,
+            color: APP_CONFIG.CHART.MARKER_COLORS.debt
+        }));
+    }
+    
+    /**
+     * Build chart markers for the years life events start
+     * @param {number} lastYear - Last year shown on the chart
+     * @param {number} firstIndexYear - Year plotted at x-axis index 0
+     * @returns {Array} Markers with x-axis index, label and color
+     */
+    static getLifeEventMarkers(lastYear, firstIndexYear) {
+        const namesByYear = {};
+        
+        appState.userInputs.lifeEvents.forEach(event => {
+            if (event.startYear > lastYear) return;
+            namesByYear[event.startYear] = [...(namesByYear[event.startYear] || []), event.name];
+        });
+        
+        return Object.entries(namesByYear).map(([year, names]) => ({
+            index: Number(year) - firstIndexYear,
+            label: names.join(', '),
+            color: APP_CONFIG.CHART.MARKER_COLORS.lifeEvent
+        }));
+    }
+    
+    /**
+     * Build crossover chart markers for the Coast FI and Barista FI years of each path
+     * @param {number} lastYear - Last year shown on the chart
+     * @returns {Array} Markers with x-axis index, label and color
+     */
+    static getMilestoneMarkers(lastYear) {
+        const { milestoneData } = appState;
+        const markers = [];
+        
+        [['coastYear', 'Coast FI', 'coastFI'], ['baristaYear', 'Barista FI', 'baristaFI']].forEach(([key, label, color]) => {
+            const pathsByYear = {};
+            [['worker', 'Worker'], ['investor', 'Investor']].forEach(([path, pathLabel]) => {
+                const year = milestoneData[path][key];
+                if (year === -1 || year > lastYear) return;
+                pathsByYear[year] = [...(pathsByYear[year] || []), pathLabel];
+            });
+            
+            Object.entries(pathsByYear).forEach(([year, paths]) => {
+                markers.push({
+                    index: Number(year),
+                    label: `${label} (${paths.join(', ')})`,
+                    color: APP_CONFIG.CHART.MARKER_COLORS[color]
+                });
+            });
+        });
+        
+        return markers;
+    }
+    
+    /**
+     * Project the slider-driven savings path by account type
+     * @param {number} adjustedSavings - Annual savings from the slider
+     */
+    static setAdjustedProjection(adjustedSavings) {
+        const { calculations } = appState;
+        
+        const buckets = FinancialCalculator.calculateBucketProjection(
+            FinancialCalculator.splitSavings(adjustedSavings, calculations), 
+            calculations.projectionYears, 
+            calculations.wealthBuckets, 
+            calculations.returnPath, 
+            calculations.compoundingSchedule, 
+            calculations.debtPlan.annualPayments, 
+            calculations.lifeEvents
+        );
+        
+        appState.projectionData.adjustedBuckets = buckets;
+        appState.projectionData.adjusted = buckets.map(year => year.total);
+        appState.projectionData.adjustedSavings = adjustedSavings;
     }
     
     /**
@@ -1539,10 +6647,14 @@ class UIController {
         const { calculations } = appState;
         
         // Calculate crossover points
-        appState.crossoverData = FinancialCalculator.calculateAllCrossoverPoints(calculations);
+        appState.crossoverData = FinancialCalculator.calculateAllCrossoverPoints(calculations, appState.userInputs);
+        appState.feeData = FinancialCalculator.calculateFeeImpact(calculations, appState.userInputs, appState.crossoverData);
+        appState.milestoneData = FinancialCalculator.calculateMilestones(calculations, appState.userInputs, appState.crossoverData);
         
         // Update displays
         this.updateCrossoverStats();
+        this.updateCrossoverProbability();
+        this.updateFeeImpact();
         this.createCrossoverChart();
         
         // Show section
@@ -1589,6 +6701,88 @@ class UIController {
         }
     }
     
+    /**
+     * Update the Monte Carlo chance-of-crossover table
+     */
+    static updateCrossoverProbability() {
+        const container = document.getElementById('crossoverProbability');
+        if (!container) return;
+        
+        const { monteCarloData } = appState;
+        if (!monteCarloData) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const formatChance = (probability) => `${Math.round(probability * 100)}%`;
+        const rows = [];
+        for (let year = 5; year <= APP_CONFIG.FINANCIAL.CROSSOVER_YEARS; year += 5) {
+            rows.push(`
+                <tr>
+                    <td>Year ${year}</td>
+                    <td>${formatChance(monteCarloData.crossoverProbability.worker[year])}</td>
+                    <td>${formatChance(monteCarloData.crossoverProbability.investor[year])}</td>
+                </tr>`);
+        }
+        
+        document.getElementById('crossoverProbabilityBody').innerHTML = rows.join('');
+        document.getElementById('crossoverProbabilityRuns').textContent = 
+            `${monteCarloData.simulations.toLocaleString('en-US')} simulated return paths`;
+        container.classList.remove('hidden');
+    }
+    
+    /**
+     * Update the comparison of outcomes with and without investment fees
+     */
+    static updateFeeImpact() {
+        const container = document.getElementById('feeImpact');
+        if (!container) return;
+        
+        const { feeData, calculations, userInputs } = appState;
+        if (!feeData) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const years = calculations.projectionYears;
+        const formatWealth = (amount) => UtilityFunctions.formatCurrency(this.toDisplayDollars(amount, years));
+        const formatCrossover = (crossoverYears) => {
+            if (crossoverYears === -1) return `Not within ${APP_CONFIG.FINANCIAL.CROSSOVER_YEARS} years`;
+            return crossoverYears === 0 ? 'Now' : `Year ${crossoverYears}`;
+        };
+        const formatDelay = (delay) => {
+            if (delay === null) return '—';
+            if (delay === 0) return 'No delay';
+            return `${delay} ${delay === 1 ? 'year' : 'years'}`;
+        };
+        
+        const rows = [
+            [`Asset Base After ${years} Years Without Fees`, path => formatWealth(path.grossWealth)],
+            [`Asset Base After ${years} Years With Fees`, path => formatWealth(path.netWealth)],
+            ['Lost to Fees', path => formatWealth(path.lostToFees)],
+            ['Crossover Without Fees', path => formatCrossover(path.grossCrossoverYears)],
+            ['Crossover With Fees', path => formatCrossover(path.netCrossoverYears)],
+            ['Fees Delay Crossover By', path => formatDelay(path.crossoverDelay)]
+        ];
+        document.getElementById('feeImpactBody').innerHTML = rows.map(([label, format]) => `
+                <tr>
+                    <td>${label}</td>
+                    <td>${format(feeData.worker)}</td>
+                    <td>${format(feeData.investor)}</td>
+                </tr>`).join('');
+        
+        const formatRate = (rate) => `${(rate * 100).toFixed(2)}%`;
+        let summary = `Fees of ${formatRate(feeData.annualFee)} a year (${formatRate(userInputs.expenseRatio)} expense ratio + ` + 
+            `${formatRate(userInputs.advisoryFee)} advisory fee) cost the investor path ${formatWealth(feeData.investor.lostToFees)} ` + 
+            `over ${years} years`;
+        summary += feeData.investor.crossoverDelay 
+            ? ` and push financial independence back ${formatDelay(feeData.investor.crossoverDelay)}.` 
+            : '.';
+        document.getElementById('feeImpactSummary').textContent = summary;
+        
+        container.classList.remove('hidden');
+    }
+    
     /**
      * Create crossover visualization chart
      */
@@ -1596,7 +6790,8 @@ class UIController {
         const ctx = document.getElementById('crossoverChart');
         if (!ctx) return;
         
-        const { crossoverData, calculations } = appState;
+        const { crossoverData } = appState;
+        const maxCrossoverYears = APP_CONFIG.FINANCIAL.CROSSOVER_YEARS;
         
         // Determine optimal viewing window
         let maxYears = 30;
@@ -1604,10 +6799,10 @@ class UIController {
         const investorCrossover = crossoverData.investor.years;
         
         if (workerCrossover > 0 && workerCrossover !== -1) {
-            maxYears = Math.min(50, Math.max(maxYears, Math.ceil(workerCrossover * 1.3)));
+            maxYears = Math.min(maxCrossoverYears, Math.max(maxYears, Math.ceil(workerCrossover * 1.3)));
         }
         if (investorCrossover > 0 && investorCrossover !== -1) {
-            maxYears = Math.min(50, Math.max(20, Math.ceil(investorCrossover * 1.5)));
+            maxYears = Math.min(maxCrossoverYears, Math.max(20, Math.ceil(investorCrossover * 1.5)));
         }
         
         // Zoom in for early crossovers
@@ -1616,25 +6811,47 @@ class UIController {
             maxYears = 15;
         }
         
-        // Prepare chart data
+        // Prepare chart data (earned income follows the salary growth path)
         const labels = Array.from({length: maxYears + 1}, (_, i) => i);
-        const earnedIncome = Array(maxYears + 1).fill(calculations.afterTaxIncome);
+        const earnedIncome = crossoverData.investor.projectionData
+            .slice(0, maxYears + 1)
+            .map(d => this.toDisplayDollars(d.earnedIncome, d.year));
         
         const workerPassive = crossoverData.worker.projectionData
             .slice(0, maxYears + 1)
-            .map(d => d.passiveIncome);
+            .map(d => this.toDisplayDollars(d.passiveIncome, d.year));
         
         const investorPassive = crossoverData.investor.projectionData
             .slice(0, maxYears + 1)
-            .map(d => d.passiveIncome);
+            .map(d => this.toDisplayDollars(d.passiveIncome, d.year));
+        
+        // Social Security and pension income, shown only when the user entered streams
+        const streamIncome = crossoverData.investor.projectionData
+            .slice(0, maxYears + 1)
+            .map(d => this.toDisplayDollars(d.streamIncome, d.year));
         
         const chartData = {
             labels: labels,
             earnedIncome: earnedIncome,
             workerPassive: workerPassive,
-            investorPassive: investorPassive
+            investorPassive: investorPassive,
+            streamIncome: streamIncome.some(value => value > 0) ? streamIncome : null,
+            bands: null,
+            dollarBasis: appState.dollarBasis,
+            markers: [
+                ...this.getLifeEventMarkers(maxYears, 0), 
+                ...this.getMilestoneMarkers(maxYears)
+            ]
         };
         
+        if (appState.monteCarloData) {
+            const bands = this.restateBands(appState.monteCarloData.crossoverBands, 0);
+            Object.keys(bands).forEach(percentile => {
+                bands[percentile] = bands[percentile].slice(0, maxYears + 1);
+            });
+            chartData.bands = bands;
+        }
+        
         appState.charts.crossover = ChartManager.createCrossoverChart(ctx.getContext('2d'), chartData);
     }
     
@@ -1669,9 +6886,15 @@ class UIController {
         document.getElementById('currentAssetAmount').textContent = 
             `(${UtilityFunctions.formatCurrency(calculations.wealthAccount)})`;
         
+        // Label what is measured for the chosen withdrawal strategy
+        const measure = this.getEnduranceMeasure();
+        document.querySelectorAll('.endurance-measure').forEach(label => {
+            label.textContent = measure.label;
+        });
+        
         // Format endurance values
         const formatEndurance = (years) => {
-            if (years === -1) return 'Indefinite';
+            if (years === -1) return measure.sustained;
             if (years === 0) return 'N/A';
             return `${years} years`;
         };
@@ -1705,8 +6928,10 @@ class UIController {
         }
         
         // Update future asset base row
+        const projectionYears = calculations.projectionYears;
         document.getElementById('futureAssetAmount').textContent = 
-            `Worker: ${UtilityFunctions.formatCurrency(endurance.workerWealth15Yr)} | Investor: ${UtilityFunctions.formatCurrency(endurance.investorWealth15Yr)}`;
+            `Worker: ${UtilityFunctions.formatCurrency(this.toDisplayDollars(endurance.workerFutureWealth, projectionYears))} | ` + 
+            `Investor: ${UtilityFunctions.formatCurrency(this.toDisplayDollars(endurance.investorFutureWealth, projectionYears))}`;
         
         // Update future endurance values
         const workerFutureEl = document.getElementById('workerFutureEndurance');
@@ -1736,6 +6961,35 @@ class UIController {
             futureDiffEl.className = `endurance-diff ${futureDiff.className}`;
         }
         
+        // Update Monte Carlo survival rows
+        const { monteCarloData } = appState;
+        document.querySelectorAll('.monte-carlo-row').forEach(row => {
+            row.classList.toggle('hidden', !monteCarloData);
+        });
+        if (monteCarloData) {
+            const success = monteCarloData.enduranceSuccess;
+            const formatChance = (probability) => `${Math.round(probability * 100)}%`;
+            const formatChanceDiff = (worker, investor) => {
+                const points = Math.round((investor - worker) * 100);
+                return {
+                    text: `${points > 0 ? '+' : ''}${points} pts`,
+                    className: points >= 0 ? 'endurance-diff positive' : 'endurance-diff negative'
+                };
+            };
+            
+            [['Current', success.workerCurrent, success.investorCurrent],
+             ['Future', success.workerFuture, success.investorFuture]].forEach(([scenario, worker, investor]) => {
+                document.getElementById(`survival${scenario}Label`).textContent = 
+                    `Chance ${scenario} Assets ${measure.survival}`;
+                document.getElementById(`workerSurvival${scenario}`).textContent = formatChance(worker);
+                document.getElementById(`investorSurvival${scenario}`).textContent = formatChance(investor);
+                const diff = formatChanceDiff(worker, investor);
+                const diffEl = document.getElementById(`survival${scenario}Diff`);
+                diffEl.textContent = diff.text;
+                diffEl.className = diff.className;
+            });
+        }
+        
         // Update crossover row
         const formatCrossover = (years) => {
             if (years === -1) return 'Never';
@@ -1761,6 +7015,43 @@ class UIController {
             document.getElementById('crossoverEnduranceDiff').className = 'endurance-diff';
         }
         
+        // Update Coast FI and Barista FI rows
+        const { milestoneData } = appState;
+        const formatMilestone = (years) => {
+            if (years === -1) return 'Never';
+            if (years === 0) return 'Already There!';
+            return `${years} years`;
+        };
+        
+        document.getElementById('coastTargetLabel').textContent = milestoneData.targetAge === null 
+            ? `(Stop Saving, Still Free in ${milestoneData.targetYear} Years)` 
+            : `(Stop Saving, Still Free by Age ${milestoneData.targetAge})`;
+        document.getElementById('baristaIncomeLabel').textContent = 
+            `(Passive Income + ${UtilityFunctions.formatCurrency(milestoneData.partTimeIncome)} Part-Time Pay > Earned Income)`;
+        
+        [['coastYear', 'Coast'], ['baristaYear', 'Barista']].forEach(([key, milestone]) => {
+            const workerYears = milestoneData.worker[key];
+            const investorYears = milestoneData.investor[key];
+            document.getElementById(`worker${milestone}Endurance`).textContent = formatMilestone(workerYears);
+            document.getElementById(`investor${milestone}Endurance`).textContent = formatMilestone(investorYears);
+            
+            const diffEl = document.getElementById(`${milestone.toLowerCase()}EnduranceDiff`);
+            if (workerYears !== -1 && investorYears !== -1) {
+                diffEl.textContent = `${workerYears - investorYears} years faster`;
+                diffEl.className = 'endurance-diff positive';
+            } else if (investorYears !== -1) {
+                diffEl.textContent = 'Investor reaches it';
+                diffEl.className = 'endurance-diff positive';
+            } else {
+                diffEl.textContent = 'N/A';
+                diffEl.className = 'endurance-diff';
+            }
+        });
+        
+        // Drawdown schedule under the chosen withdrawal strategy
+        appState.drawdownData = endurance.drawdownSchedule;
+        this.updateDrawdownSchedule();
+        
         // Generate insights
         this.generateEnduranceInsights(endurance, calculations, crossoverData);
         
@@ -1768,6 +7059,168 @@ class UIController {
         document.getElementById('summary').classList.remove('hidden');
     }
     
+    /**
+     * Update the year-by-year drawdown table and chart for the investor's future asset base
+     */
+    static updateDrawdownSchedule() {
+        const container = document.getElementById('drawdownSchedule');
+        if (!container) return;
+        
+        const { drawdownData, calculations } = appState;
+        const startYear = calculations.projectionYears;
+        const format = (amount, year) => UtilityFunctions.formatCurrency(this.toDisplayDollars(amount, startYear + year));
+        
+        document.getElementById('drawdownScheduleBody').innerHTML = drawdownData.rows.map(row => `
+                <tr>
+                    <td>${row.year}</td>
+                    <td>${format(row.startBalance, row.year - 1)}</td>
+                    <td>${format(row.spending, row.year)}</td>
+                    <td>${(row.startBalance > 0 ? row.spending / row.startBalance * 100 : 0).toFixed(1)}%</td>
+                    <td>${format(row.endBalance, row.year)}</td>
+                </tr>`).join('');
+        
+        const strategyType = calculations.withdrawalStrategy.type;
+        const strategyLabel = APP_CONFIG.WITHDRAWAL.STRATEGIES[strategyType];
+        const hasFloor = APP_CONFIG.WITHDRAWAL.FLOOR_STRATEGIES.includes(strategyType);
+        const shownYears = drawdownData.rows.length;
+        let outcome;
+        if (drawdownData.yearsLasted !== -1) {
+            outcome = hasFloor 
+                ? `falls below planned spending in year ${drawdownData.yearsLasted}` 
+                : `runs out in year ${drawdownData.yearsLasted}`;
+        } else if (strategyType === 'vpw') {
+            outcome = `stays at or above planned spending through year ${shownYears}`;
+        } else {
+            outcome = `still has ${format(drawdownData.rows[shownYears - 1].endBalance, shownYears)} after ${shownYears} years`;
+        }
+        document.getElementById('drawdownScheduleSummary').textContent = 
+            `${strategyLabel}: the investor's ${format(drawdownData.rows[0].startBalance, 0)} asset base after ` + 
+            `${startYear} years ${outcome}, starting from ${format(drawdownData.rows[0].spending, 1)} of spending.`;
+        
+        container.classList.remove('hidden');
+        this.createDrawdownChart();
+    }
+    
+    /**
+     * Create drawdown schedule chart
+     */
+    static createDrawdownChart() {
+        const ctx = document.getElementById('drawdownChart');
+        if (!ctx || !appState.drawdownData) return;
+        
+        if (appState.charts.drawdown) {
+            appState.charts.drawdown.destroy();
+        }
+        
+        const { rows } = appState.drawdownData;
+        const startYear = appState.calculations.projectionYears;
+        appState.charts.drawdown = ChartManager.createDrawdownChart(ctx.getContext('2d'), {
+            labels: rows.map(row => row.year),
+            balances: rows.map(row => this.toDisplayDollars(row.endBalance, startYear + row.year)),
+            spending: rows.map(row => this.toDisplayDollars(row.spending, startYear + row.year)),
+            strategyLabel: APP_CONFIG.WITHDRAWAL.STRATEGIES[appState.calculations.withdrawalStrategy.type],
+            dollarBasis: appState.dollarBasis
+        });
+    }
+    
+    /**
+     * Show the selected projection horizon wherever a section describes it
+     */
+    static updateHorizonLabels() {
+        const years = appState.calculations.projectionYears;
+        document.querySelectorAll('.projection-years').forEach(label => {
+            label.textContent = years;
+        });
+    }
+    
+    /**
+     * Update the historical backtest success-rate table and sequence chart
+     */
+    static updateHistoricalBacktest() {
+        const container = document.getElementById('historicalBacktest');
+        if (!container) return;
+        
+        const { backtestData } = appState;
+        if (!backtestData) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const horizon = backtestData.horizon;
+        const rates = backtestData.successRates;
+        const formatRate = (rate) => `${Math.round(rate * 100)}%`;
+        const { lasts } = this.getEnduranceMeasure();
+        const rows = [
+            [`Current assets ${lasts} ${horizon} years`, rates.workerCurrent, rates.investorCurrent],
+            [`Future asset base can ${lasts} ${horizon} years`, rates.workerFuture, rates.investorFuture],
+            [`Reach crossover within ${horizon} years`, rates.workerCrossover, rates.investorCrossover]
+        ];
+        
+        document.getElementById('historicalBacktestBody').innerHTML = rows.map(([label, worker, investor]) => {
+            const points = Math.round((investor - worker) * 100);
+            return `
+                <tr>
+                    <td>${label}</td>
+                    <td>${formatRate(worker)}</td>
+                    <td>${formatRate(investor)}</td>
+                    <td class="endurance-diff ${points >= 0 ? 'positive' : 'negative'}">${points > 0 ? '+' : ''}${points} pts</td>
+                </tr>`;
+        }).join('');
+        
+        const stockShare = Math.round(backtestData.stockAllocation * 100);
+        document.getElementById('historicalBacktestRange').textContent = 
+            `${backtestData.sequenceCount} historical ${horizon}-year sequences starting ${backtestData.firstStartYear}–` + 
+            `${backtestData.lastStartYear}, ${stockShare}/${100 - stockShare} stocks/bonds, after inflation`;
+        container.classList.remove('hidden');
+        
+        this.createBacktestChart();
+    }
+    
+    /**
+     * Create historical backtest chart
+     */
+    static createBacktestChart() {
+        const ctx = document.getElementById('backtestChart');
+        if (!ctx || !appState.backtestData) return;
+        
+        if (appState.charts.backtest) {
+            appState.charts.backtest.destroy();
+        }
+        
+        appState.charts.backtest = ChartManager.createBacktestChart(ctx.getContext('2d'), appState.backtestData);
+    }
+    
+    /**
+     * Describe what the endurance figures measure for the chosen withdrawal strategy
+     * Fixed dollar and guardrail spending is scored by when the assets run out. Fixed
+     * percentage and VPW spending shrinks with the balance instead, so those plans are
+     * scored by when spending first falls below the planned amount.
+     * @returns {Object} Row label, survival wording and the text for a plan that never fails
+     */
+    static getEnduranceMeasure() {
+        const strategy = appState.calculations.withdrawalStrategy;
+        if (!APP_CONFIG.WITHDRAWAL.FLOOR_STRATEGIES.includes(strategy.type)) {
+            return {
+                label: '(Years Until Assets Run Out)',
+                survival: 'Never Run Dry',
+                lasts: 'last',
+                sustained: 'Indefinite',
+                sustainedText: 'indefinitely'
+            };
+        }
+        
+        const isVpw = strategy.type === 'vpw';
+        return {
+            label: isVpw 
+                ? `(Years Spending Stays on Plan, ${strategy.years}-Year VPW Horizon)` 
+                : '(Years Until Spending Falls Below Plan)',
+            survival: 'Cover Planned Spending',
+            lasts: 'cover planned spending',
+            sustained: isVpw ? `Full ${strategy.years} years` : 'Indefinite',
+            sustainedText: isVpw ? `for the full ${strategy.years}-year plan` : 'indefinitely'
+        };
+    }
+    
     /**
      * Calculate endurance difference formatting
      * @param {number} workerEndurance - Worker path endurance
@@ -1775,12 +7228,13 @@ class UIController {
      * @returns {Object} Formatted text and CSS class
      */
     static calculateEnduranceDifference(workerEndurance, investorEndurance) {
+        const { sustained } = this.getEnduranceMeasure();
         if (workerEndurance === -1 && investorEndurance === -1) {
-            return { text: 'Both indefinite', className: 'positive' };
+            return { text: `Both ${sustained.toLowerCase()}`, className: 'positive' };
         } else if (investorEndurance === -1 && workerEndurance !== -1) {
-            return { text: 'Investor: Indefinite', className: 'positive' };
+            return { text: `Investor: ${sustained}`, className: 'positive' };
         } else if (workerEndurance === -1 && investorEndurance !== -1) {
-            return { text: 'Worker: Indefinite', className: 'negative' };
+            return { text: `Worker: ${sustained}`, className: 'negative' };
         } else if (workerEndurance === 0 || investorEndurance === 0) {
             return { text: 'N/A', className: '' };
         } else {
@@ -1798,6 +7252,7 @@ class UIController {
      */
     static generateEnduranceInsights(endurance, calculations, crossoverData) {
         const insights = [];
+        const measure = this.getEnduranceMeasure();
         
         // Crossover insight
         if (crossoverData.worker.years !== -1 && crossoverData.investor.years !== -1) {
@@ -1810,29 +7265,32 @@ class UIController {
         // Current asset insights
         if (calculations.wealthAccount > 0) {
             if (endurance.investorCurrentEndurance === -1) {
-                insights.push('Your current assets can sustain investor-level spending indefinitely!');
+                insights.push(`Your current assets can sustain investor-level spending ${measure.sustainedText}!`);
             } else if (endurance.workerCurrentEndurance > 0 && endurance.investorCurrentEndurance > 0) {
                 const diff = endurance.investorCurrentEndurance - endurance.workerCurrentEndurance;
                 if (diff > 0) {
-                    insights.push(`Investor spending patterns would make your current assets last ${diff} year(s) longer`);
+                    insights.push(`Investor spending patterns would make your current assets ${measure.lasts} ${diff} year(s) longer`);
                 }
             }
         }
         
         // Future asset insights
         if (endurance.investorFutureEndurance === -1 && endurance.workerFutureEndurance !== -1) {
-            insights.push('Following the investor path for 15 years would give you indefinite financial freedom');
+            insights.push(`Following the investor path for ${calculations.projectionYears} years would fund your spending ${measure.sustainedText}`);
         } else if (endurance.investorFutureEndurance > 0 && endurance.workerFutureEndurance > 0) {
             const yearsDiff = endurance.investorFutureEndurance - endurance.workerFutureEndurance;
             if (yearsDiff > 0) {
-                insights.push(`Investor habits would extend your future asset endurance by ${yearsDiff} years`);
+                insights.push(`Investor habits would let your future assets ${measure.lasts} ${yearsDiff} years longer`);
             }
         }
         
         // Wealth accumulation insight
-        const wealthDiff = endurance.investorWealth15Yr - endurance.workerWealth15Yr;
+        const wealthDiff = this.toDisplayDollars(
+            endurance.investorFutureWealth - endurance.workerFutureWealth, 
+            calculations.projectionYears
+        );
         if (wealthDiff > 0) {
-            insights.push(`Following investor principles would accumulate ${UtilityFunctions.formatCurrency(wealthDiff)} more wealth over 15 years`);
+            insights.push(`Following investor principles would accumulate ${UtilityFunctions.formatCurrency(wealthDiff)} more wealth over ${calculations.projectionYears} years`);
         }
         
         // Spending reduction insight
@@ -1848,6 +7306,274 @@ class UIController {
         }
     }
     
+    /**
+     * Add an empty debt row to the calculator form
+     */
+    static addDebtRow() {
+        const list = document.getElementById('debtList');
+        if (!list || list.querySelectorAll('.editor-row').length >= APP_CONFIG.DEBTS.MAX_DEBTS) return;
+        
+        const row = document.createElement('div');
+        row.className = 'editor-row debt-row';
+        row.innerHTML = `
+            <input type="text" class="form-input debt-name" placeholder="Name" aria-label="Debt name" autocomplete="off">
+            <input type="text" class="form-input currency-input debt-balance" placeholder="Balance" aria-label="Balance owed" autocomplete="off" inputmode="numeric">
+            <input type="number" class="form-input debt-apr" placeholder="APR %" aria-label="Annual percentage rate" min="0" max="100" step="0.01" inputmode="decimal">
+            <input type="text" class="form-input currency-input debt-payment" placeholder="Min. / month" aria-label="Minimum monthly payment" autocomplete="off" inputmode="numeric">
+            <button type="button" class="editor-remove" aria-label="Remove debt">&times;</button>`;
+        
+        row.querySelectorAll('.currency-input').forEach(input => {
+            new CurrencyInputHandler(input);
+        });
+        row.querySelector('.editor-remove').addEventListener('click', () => row.remove());
+        
+        list.appendChild(row);
+    }
+    
+    /**
+     * Read the debts entered in the calculator form, skipping blank rows
+     * @returns {Array} Debts with name, balance, apr and minimumPayment
+     */
+    static getDebtInputs() {
+        const list = document.getElementById('debtList');
+        if (!list) return [];
+        
+        return Array.from(list.querySelectorAll('.debt-row'))
+            .map(row => ({
+                name: row.querySelector('.debt-name').value.trim(),
+                balance: row.querySelector('.debt-balance').value,
+                apr: row.querySelector('.debt-apr').value,
+                minimumPayment: row.querySelector('.debt-payment').value
+            }))
+            .filter(row => row.name || row.balance || row.apr || row.minimumPayment)
+            .map((row, index) => ({
+                name: row.name || `Debt ${index + 1}`,
+                balance: UtilityFunctions.parseCurrency(row.balance) || 0,
+                apr: row.apr === '' ? NaN : parseFloat(row.apr) / 100,
+                minimumPayment: UtilityFunctions.parseCurrency(row.minimumPayment) || 0
+            }));
+    }
+    
+    /**
+     * Add an empty Social Security or pension row to the calculator form
+     */
+    static addIncomeStreamRow() {
+        const list = document.getElementById('incomeStreamList');
+        if (!list || list.querySelectorAll('.editor-row').length >= APP_CONFIG.INCOME_STREAMS.MAX_STREAMS) return;
+        
+        const typeOptions = Object.entries(APP_CONFIG.INCOME_STREAMS.TYPES)
+            .map(([value, type]) => `<option value="${value}">${type.label}</option>`)
+            .join('');
+        
+        const row = document.createElement('div');
+        row.className = 'editor-row income-stream-row';
+        row.innerHTML = `
+            <select class="form-select stream-type" aria-label="Income type">${typeOptions}</select>
+            <input type="text" class="form-input currency-input stream-amount" placeholder="Per year" aria-label="Annual amount in today's dollars" autocomplete="off" inputmode="numeric">
+            <input type="number" class="form-input stream-cola" placeholder="COLA %" aria-label="Annual cost-of-living adjustment" min="0" max="10" step="0.1" inputmode="decimal">
+            <input type="number" class="form-input stream-start" placeholder="Age or year" aria-label="Start age or calendar year" min="18" step="1" inputmode="numeric">
+            <button type="button" class="editor-remove" aria-label="Remove income stream">&times;</button>`;
+        
+        row.querySelectorAll('.currency-input').forEach(input => {
+            new CurrencyInputHandler(input);
+        });
+        row.querySelector('.editor-remove').addEventListener('click', () => row.remove());
+        
+        list.appendChild(row);
+    }
+    
+    /**
+     * Read the Social Security and pension streams entered in the calculator form, skipping blank rows
+     * @returns {Array} Streams with type, start, amount and cola (null keeps pace with inflation)
+     */
+    static getIncomeStreamInputs() {
+        const list = document.getElementById('incomeStreamList');
+        if (!list) return [];
+        
+        return Array.from(list.querySelectorAll('.income-stream-row'))
+            .map(row => ({
+                type: row.querySelector('.stream-type').value,
+                amount: row.querySelector('.stream-amount').value,
+                cola: row.querySelector('.stream-cola').value,
+                start: row.querySelector('.stream-start').value
+            }))
+            .filter(row => row.amount || row.cola || row.start)
+            .map(row => ({
+                type: row.type,
+                amount: UtilityFunctions.parseCurrency(row.amount) || 0,
+                cola: row.cola === '' ? null : parseFloat(row.cola) / 100,
+                start: row.start === '' ? NaN : Number(row.start)
+            }));
+    }
+    
+    /**
+     * Add an empty life event row to the calculator form
+     */
+    static addLifeEventRow() {
+        const list = document.getElementById('lifeEventList');
+        if (!list || list.querySelectorAll('.editor-row').length >= APP_CONFIG.LIFE_EVENTS.MAX_EVENTS) return;
+        
+        const typeOptions = Object.entries(APP_CONFIG.LIFE_EVENTS.TYPES)
+            .map(([value, type]) => `<option value="${value}">${type.label}</option>`)
+            .join('');
+        const frequencyOptions = Object.entries(APP_CONFIG.LIFE_EVENTS.FREQUENCIES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        
+        const row = document.createElement('div');
+        row.className = 'editor-row life-event-row';
+        row.innerHTML = `
+            <input type="text" class="form-input event-name" placeholder="Event" aria-label="Event name" autocomplete="off">
+            <select class="form-select event-type" aria-label="What changes">${typeOptions}</select>
+            <input type="text" class="form-input currency-input event-amount" placeholder="Amount" aria-label="Amount in today's dollars" autocomplete="off" inputmode="numeric">
+            <select class="form-select event-frequency" aria-label="How often">${frequencyOptions}</select>
+            <input type="number" class="form-input event-start" placeholder="Start" aria-label="Start year from today" min="1" max="${APP_CONFIG.FINANCIAL.CROSSOVER_YEARS}" step="1" inputmode="numeric">
+            <input type="number" class="form-input event-end" placeholder="End" aria-label="End year from today (optional)" min="1" max="${APP_CONFIG.FINANCIAL.CROSSOVER_YEARS}" step="1" inputmode="numeric">
+            <button type="button" class="editor-remove" aria-label="Remove life event">&times;</button>`;
+        
+        row.querySelectorAll('.currency-input').forEach(input => {
+            new CurrencyInputHandler(input);
+        });
+        row.querySelector('.editor-remove').addEventListener('click', () => row.remove());
+        
+        list.appendChild(row);
+    }
+    
+    /**
+     * Read the life events entered in the calculator form, skipping blank rows
+     * @returns {Array} Events with name, type, amount, frequency, startYear and endYear (null = open-ended)
+     */
+    static getLifeEventInputs() {
+        const list = document.getElementById('lifeEventList');
+        if (!list) return [];
+        
+        return Array.from(list.querySelectorAll('.life-event-row'))
+            .map(row => ({
+                name: row.querySelector('.event-name').value.trim(),
+                type: row.querySelector('.event-type').value,
+                amount: row.querySelector('.event-amount').value,
+                frequency: row.querySelector('.event-frequency').value,
+                startYear: row.querySelector('.event-start').value,
+                endYear: row.querySelector('.event-end').value
+            }))
+            .filter(row => row.name || row.amount || row.startYear || row.endYear)
+            .map((row, index) => ({
+                name: row.name || `Event ${index + 1}`,
+                type: row.type,
+                amount: UtilityFunctions.parseCurrency(row.amount) || 0,
+                frequency: row.frequency,
+                startYear: row.startYear === '' ? NaN : Number(row.startYear),
+                endYear: row.endYear === '' ? null : Number(row.endYear)
+            }));
+    }
+    
+    /**
+     * Read the portfolio mix, expected returns and glide path from the calculator form
+     * Blank fields use the defaults; bonds default to whatever stocks and cash leave.
+     * @param {HTMLFormElement} form - Calculator form
+     * @returns {Object} Weights and returns by asset class, glideEndStocks and glideYears
+     */
+    static getAllocationInputs(form) {
+        const assets = APP_CONFIG.ALLOCATION.ASSET_CLASSES;
+        const stocks = UtilityFunctions.parsePercentage(form.stockAllocation.value, assets.stocks.defaultWeight);
+        const cash = UtilityFunctions.parsePercentage(form.cashAllocation.value, assets.cash.defaultWeight);
+        
+        return {
+            stocks,
+            bonds: UtilityFunctions.parsePercentage(form.bondAllocation.value, 1 - stocks - cash),
+            cash,
+            returns: {
+                stocks: UtilityFunctions.parsePercentage(form.stockReturn.value, assets.stocks.expectedReturn),
+                bonds: UtilityFunctions.parsePercentage(form.bondReturn.value, assets.bonds.expectedReturn),
+                cash: UtilityFunctions.parsePercentage(form.cashReturn.value, assets.cash.expectedReturn)
+            },
+            glideEndStocks: UtilityFunctions.parsePercentage(form.glideEndStocks.value, APP_CONFIG.ALLOCATION.DEFAULT_GLIDE_END_STOCKS),
+            glideYears: form.glideYears.value === '' 
+                ? APP_CONFIG.ALLOCATION.DEFAULT_GLIDE_YEARS 
+                : Number(form.glideYears.value)
+        };
+    }
+    
+    /**
+     * Read the partner's income, contributions and wealth from the calculator form
+     * @param {HTMLFormElement} form - Calculator form
+     * @returns {Object} Partner inputs named like your own (preTaxIncome, contribution401k, ...)
+     */
+    static getPartnerInputs(form) {
+        return {
+            preTaxIncome: UtilityFunctions.parseCurrency(form.partnerIncome.value) || 0,
+            age: form.partnerAge.value === '' ? '' : parseInt(form.partnerAge.value),
+            contribution401k: UtilityFunctions.parseCurrency(form.partner401k.value) || 0,
+            contributionIRA: UtilityFunctions.parseCurrency(form.partnerIRA.value) || 0,
+            contributionRoth: UtilityFunctions.parseCurrency(form.partnerRoth.value) || 0,
+            wealthAccount: UtilityFunctions.parseCurrency(form.partnerWealth.value) || 0,
+            wealthTaxDeferred: UtilityFunctions.parseCurrency(form.partnerWealthTaxDeferred.value) || 0,
+            wealthRoth: UtilityFunctions.parseCurrency(form.partnerWealthRoth.value) || 0
+        };
+    }
+    
+    /**
+     * Populate tax year selector with published and projected years
+     */
+    static populateTaxYearOptions() {
+        const select = document.getElementById('taxYear');
+        if (!select) return;
+        
+        const defaultYear = TaxCalculator.getDefaultTaxYear();
+        
+        TaxCalculator.getSelectableTaxYears().forEach(year => {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = TaxCalculator.isProjectedYear(year) 
+                ? `${year} (projected)` 
+                : `${year}`;
+            option.selected = year === defaultYear;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * Populate state selector from the bundled state tax tables
+     */
+    static populateStateOptions() {
+        const select = document.getElementById('stateOfResidence');
+        if (!select) return;
+        
+        Object.entries(APP_CONFIG.STATE_TAXES)
+            .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+            .forEach(([code, state]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = state.brackets.length === 0 
+                    ? `${state.name} (no income tax)` 
+                    : state.name;
+                select.appendChild(option);
+            });
+    }
+    
+    /**
+     * Show Monte Carlo progress on the calculate button while simulations run
+     * The button is disabled until the run finishes so submissions cannot overlap.
+     * @param {number|null} progress - Share of paths finished, or null when done
+     */
+    static updateSimulationProgress(progress) {
+        const button = document.querySelector('#calculatorForm .btn-calculate');
+        if (!button) return;
+        
+        if (!button.dataset.label) {
+            button.dataset.label = button.textContent.trim();
+        }
+        
+        if (progress === null) {
+            button.disabled = false;
+            button.textContent = button.dataset.label;
+            return;
+        }
+        
+        button.disabled = true;
+        button.textContent = `Running simulations... ${Math.round(progress * 100)}%`;
+    }
+    
     /**
      * Show all sections after calculation
      */
@@ -1906,12 +7632,9 @@ class CurrencyInputHandler {
         // Remove all non-numeric characters
         value = value.replace(/[^0-9]/g, '');
         
-        // Convert to number
-        const numValue = parseInt(value) || 0;
-        
-        // Update input with formatted value
-        if (numValue > 0) {
-            this.input.value = this.formatLive(numValue);
+        // Update input with formatted value; a typed 0 stays so overrides can be set to $0
+        if (value !== '') {
+            this.input.value = this.formatLive(parseInt(value));
         } else {
             this.input.value = '';
         }
@@ -1929,10 +7652,9 @@ class CurrencyInputHandler {
     handleBlur() {
         const value = UtilityFunctions.parseCurrency(this.input.value);
         
-        if (value > 0) {
+        // Only an empty field means "use the default"
+        if (value !== '' && value >= 0) {
             this.input.value = UtilityFunctions.formatCurrency(value);
-        } else if (value === 0 && this.input.id === 'wealthAccount') {
-            this.input.value = '$0';
         } else {
             this.input.value = '';
         }
@@ -1964,15 +7686,71 @@ class CurrencyInputHandler {
 /**
  * Handle calculator form submission
  */
-function handleCalculatorSubmit(e) {
+async function handleCalculatorSubmit(e) {
     e.preventDefault();
     
     // Get form values
     const inputs = {
-        preTaxIncome: UtilityFunctions.parseCurrency(this.preTaxIncome.value),
+        preTaxIncome: UtilityFunctions.parseCurrency(this.preTaxIncome.value) || 0,
+        selfEmploymentIncome: UtilityFunctions.parseCurrency(this.selfEmploymentIncome.value) || 0,
         wealthAccount: this.wealthAccount.value === '' ? '' : UtilityFunctions.parseCurrency(this.wealthAccount.value),
-        stateIncomeTax: UtilityFunctions.parseCurrency(this.stateIncomeTax.value) || 0,
-        filingStatus: this.filingStatus.value
+        wealthTaxDeferred: UtilityFunctions.parseCurrency(this.wealthTaxDeferred.value) || 0,
+        wealthRoth: UtilityFunctions.parseCurrency(this.wealthRoth.value) || 0,
+        stateOfResidence: this.stateOfResidence.value,
+        stateIncomeTax: UtilityFunctions.parseCurrency(this.stateIncomeTax.value),
+        itemizedDeductions: UtilityFunctions.parseCurrency(this.itemizedDeductions.value) || 0,
+        contribution401k: UtilityFunctions.parseCurrency(this.contribution401k.value) || 0,
+        contributionIRA: UtilityFunctions.parseCurrency(this.contributionIRA.value) || 0,
+        contributionHSA: UtilityFunctions.parseCurrency(this.contributionHSA.value) || 0,
+        contributionRoth: UtilityFunctions.parseCurrency(this.contributionRoth.value) || 0,
+        hsaCoverage: this.hsaCoverage.value,
+        numberOfChildren: this.numberOfChildren.value === '' ? 0 : parseInt(this.numberOfChildren.value),
+        childCareExpenses: UtilityFunctions.parseCurrency(this.childCareExpenses.value) || 0,
+        age: this.age.value === '' ? '' : parseInt(this.age.value),
+        filingStatus: this.filingStatus.value,
+        householdMode: this.householdMode.value,
+        partner: UIController.getPartnerInputs(this),
+        taxYear: parseInt(this.taxYear.value),
+        inflationRate: this.inflationRate.value === '' 
+            ? APP_CONFIG.FINANCIAL.INFLATION_RATE 
+            : parseFloat(this.inflationRate.value) / 100,
+        projectionYears: this.projectionYears.value === '' 
+            ? APP_CONFIG.FINANCIAL.PROJECTION_YEARS 
+            : Number(this.projectionYears.value),
+        contributionFrequency: this.contributionFrequency.value,
+        contributionTiming: this.contributionTiming.value,
+        allocationMode: this.allocationMode.value,
+        allocation: UIController.getAllocationInputs(this),
+        expenseRatio: UtilityFunctions.parsePercentage(this.expenseRatio.value, 0),
+        advisoryFee: UtilityFunctions.parsePercentage(this.advisoryFee.value, 0),
+        debts: UIController.getDebtInputs(),
+        debtStrategy: this.debtStrategy.value,
+        extraDebtPayment: UtilityFunctions.parseCurrency(this.extraDebtPayment.value) || 0,
+        withdrawalStrategy: this.withdrawalStrategy.value,
+        withdrawalRate: UtilityFunctions.parsePercentage(this.withdrawalRate.value, APP_CONFIG.WITHDRAWAL.DEFAULT_RATE),
+        withdrawalYears: this.withdrawalYears.value === '' 
+            ? APP_CONFIG.WITHDRAWAL.DEFAULT_YEARS 
+            : Number(this.withdrawalYears.value),
+        coastTargetAge: this.coastTargetAge.value === '' ? '' : Number(this.coastTargetAge.value),
+        partTimeIncome: this.partTimeIncome.value === '' ? '' : UtilityFunctions.parseCurrency(this.partTimeIncome.value),
+        goalType: this.goalType.value,
+        goalYears: this.goalYears.value === '' ? '' : Number(this.goalYears.value),
+        goalAmount: UtilityFunctions.parseCurrency(this.goalAmount.value) || 0,
+        incomeStreams: UIController.getIncomeStreamInputs(),
+        lifeEvents: UIController.getLifeEventInputs(),
+        salaryGrowthMode: this.salaryGrowthMode.value,
+        salaryGrowthRate: this.salaryGrowthRate.value === '' ? 0 : parseFloat(this.salaryGrowthRate.value) / 100,
+        salaryGrowthSchedule: UtilityFunctions.parseRaiseSchedule(this.salaryGrowthSchedule.value),
+        simulationMode: this.simulationMode.value,
+        expectedReturn: this.expectedReturn.value === '' 
+            ? APP_CONFIG.FINANCIAL.INVESTMENT_RETURN_RATE 
+            : parseFloat(this.expectedReturn.value) / 100,
+        returnVolatility: this.returnVolatility.value === '' 
+            ? APP_CONFIG.MONTE_CARLO.DEFAULT_VOLATILITY 
+            : parseFloat(this.returnVolatility.value) / 100,
+        randomSeed: this.randomSeed.value === '' 
+            ? APP_CONFIG.MONTE_CARLO.DEFAULT_SEED 
+            : Number(this.randomSeed.value)
     };
     
     // Validate inputs
@@ -1981,19 +7759,55 @@ function handleCalculatorSubmit(e) {
         return;
     }
     
-    // Store inputs and calculate
+    // Calculate, keeping the previous results on screen while simulations run
+    const calculations = FinancialCalculator.calculate(inputs);
+    let monteCarloData = null;
+    if (inputs.simulationMode === 'monteCarlo') {
+        UIController.updateSimulationProgress(0);
+        monteCarloData = await FinancialCalculator.runMonteCarlo(calculations, inputs, 
+            progress => UIController.updateSimulationProgress(progress));
+        UIController.updateSimulationProgress(null);
+    }
+    
+    // Store inputs and results
     appState.userInputs = inputs;
-    appState.calculations = FinancialCalculator.calculate(inputs);
+    appState.calculations = calculations;
+    appState.monteCarloData = monteCarloData;
+    appState.backtestData = FinancialCalculator.runHistoricalBacktest(appState.calculations, inputs);
+    appState.goalData = FinancialCalculator.solveSavingsGoal(appState.calculations, inputs);
     
     // Update UI
     UIController.updateResults();
+    UIController.updateHorizonLabels();
     UIController.updateCharts();
     UIController.initializeProjection();
     UIController.initializeCrossover();
     UIController.updateAssetEndurance();
+    UIController.updateHistoricalBacktest();
     UIController.showAllSections();
 }
 
+/**
+ * Handle the add debt button by appending a blank debt row
+ */
+function handleAddDebtClick() {
+    UIController.addDebtRow();
+}
+
+/**
+ * Handle the add income stream button by appending a blank stream row
+ */
+function handleAddIncomeStreamClick() {
+    UIController.addIncomeStreamRow();
+}
+
+/**
+ * Handle the add life event button by appending a blank event row
+ */
+function handleAddLifeEventClick() {
+    UIController.addLifeEventRow();
+}
+
 /**
  * Handle savings slider input
  */
@@ -2002,6 +7816,30 @@ function handleSavingsSliderInput() {
     UIController.updateProjectionChart();
 }
 
+/**
+ * Handle nominal/real dollar toggle by restating projections, crossover and endurance
+ */
+function handleDollarBasisChange() {
+    appState.dollarBasis = this.value;
+    
+    if (!appState.calculations.afterTaxIncome) {
+        return;
+    }
+    
+    ['projection', 'crossover'].forEach(key => {
+        if (appState.charts[key]) {
+            appState.charts[key].destroy();
+            appState.charts[key] = null;
+        }
+    });
+    
+    UIController.updateProjectionStats();
+    UIController.createProjectionChart();
+    UIController.createCrossoverChart();
+    UIController.updateFeeImpact();
+    UIController.updateAssetEndurance();
+}
+
 /**
  * Handle window resize for responsive charts
  */
@@ -2024,6 +7862,14 @@ function handleWindowResize() {
             if (appState.crossoverData.worker) {
                 UIController.createCrossoverChart();
             }
+            
+            if (appState.backtestData) {
+                UIController.createBacktestChart();
+            }
+            
+            if (appState.drawdownData) {
+                UIController.createDrawdownChart();
+            }
         }
     }, 250);
 }
@@ -2038,18 +7884,47 @@ document.addEventListener('DOMContentLoaded', function() {
         new CurrencyInputHandler(input);
     });
     
+    // Populate tax year and state selector options
+    UIController.populateTaxYearOptions();
+    UIController.populateStateOptions();
+    
     // Set up form submission handler
     const calculatorForm = document.getElementById('calculatorForm');
     if (calculatorForm) {
         calculatorForm.addEventListener('submit', handleCalculatorSubmit);
     }
     
+    // Set up debt editor
+    const addDebtButton = document.getElementById('addDebtButton');
+    if (addDebtButton) {
+        addDebtButton.addEventListener('click', handleAddDebtClick);
+    }
+    
+    // Set up Social Security and pension editor
+    const addIncomeStreamButton = document.getElementById('addIncomeStreamButton');
+    if (addIncomeStreamButton) {
+        addIncomeStreamButton.addEventListener('click', handleAddIncomeStreamClick);
+    }
+    
+    // Set up life events editor
+    const addLifeEventButton = document.getElementById('addLifeEventButton');
+    if (addLifeEventButton) {
+        addLifeEventButton.addEventListener('click', handleAddLifeEventClick);
+    }
+    
     // Set up savings slider handler
     const savingsSlider = document.getElementById('savingsSlider');
     if (savingsSlider) {
         savingsSlider.addEventListener('input', handleSavingsSliderInput);
     }
     
+    // Set up nominal/real dollar toggle
+    const dollarBasis = document.getElementById('dollarBasis');
+    if (dollarBasis) {
+        dollarBasis.value = appState.dollarBasis;
+        dollarBasis.addEventListener('change', handleDollarBasisChange);
+    }
+    
     // Set up window resize handler
     window.addEventListener('resize', handleWindowResize);
     